@@ -0,0 +1,69 @@
+import fs from "fs";
+import path from "path";
+import mongoose from "mongoose";
+import { config } from "../src/config.js";
+import { prepareDatabase } from "../src/db.js";
+import User from "../src/models/User.js";
+import { importCatalogue, importErrorDetails, importProgressDetails } from "../src/utils/catalogue.js";
+
+// Same import as POST /api/admin/catalogue/import, for large files or
+// bootstrapping a fresh database. New sweets and stock movements belong to
+// --actor=<email>, or to the first admin when it is not given.
+
+async function findActor(email) {
+  if (email) {
+    const user = await User.findOne({ email: email.toLowerCase() });
+    if (!user) throw new Error(`User not found: ${email}`);
+    return user;
+  }
+  const admin = await User.findOne({ role: "admin", disabled: { $ne: true } }).sort({ createdAt: 1 });
+  if (!admin) throw new Error("No admin to own the imported sweets; pass --actor=<email> or run makeAdmin.js first");
+  return admin;
+}
+
+async function run() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes("--dry-run");
+  const actorEmail = args.find((a) => a.startsWith("--actor="))?.slice("--actor=".length);
+  const file = args.find((a) => !a.startsWith("--"));
+  if (!file) {
+    console.log("Usage: node importCatalogue.js catalogue.csv|catalogue.json [--dry-run] [--actor=user@example.com]");
+    process.exit(1);
+  }
+
+  const text = fs.readFileSync(file, "utf8");
+  const format = path.extname(file).toLowerCase() === ".json" ? "json" : "csv";
+  const input = format === "json" ? JSON.parse(text) : text;
+
+  await mongoose.connect(config.mongo.uri);
+  // same migrations and seeds as server startup: a fresh database has no categories yet
+  await prepareDatabase();
+  const actor = await findActor(actorEmail);
+  const report = await importCatalogue(input, { format, dryRun, actor: actor._id });
+  await mongoose.disconnect();
+
+  const { total, create, update, unchanged, error } = report.summary;
+  console.log(`${total} sweet(s): ${create} to create, ${update} to update, ${unchanged} unchanged, ${error} with errors`);
+  for (const r of report.results) {
+    if (r.action === "create" || r.action === "update") {
+      console.log(`  ${r.action} ${r.name}: ${r.changes.map((c) => (c.sku ? `${c.sku}.${c.field}` : c.field)).join(", ")}`);
+    }
+  }
+  for (const d of importErrorDetails(report)) console.log(`  ${d.path}: ${d.message}`);
+
+  if (error) {
+    console.log("Nothing was imported.");
+    process.exit(1);
+  }
+  if (report.failure) {
+    console.log(`Import stopped at row ${report.failure.rows[0]} (${report.failure.name}): ${report.failure.message}`);
+    for (const d of importProgressDetails(report)) console.log(`  ${d.path}: ${d.message}`);
+    console.log("Run the same file again to finish.");
+    process.exit(1);
+  }
+  console.log(report.applied ? "Import done." : "Dry run: nothing was written.");
+}
+run().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
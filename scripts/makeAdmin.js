@@ -1,10 +1,13 @@
 import mongoose from "mongoose";
-import dotenv from "dotenv";
-dotenv.config();
+import { config } from "../src/config.js";
 import User from "../src/models/User.js";
+import AuditLog from "../src/models/AuditLog.js";
+
+// Bootstrap only: promotes the first admin. Once one exists, use
+// POST /api/admin/users/:id/promote instead (it checks and audits changes).
 
 async function makeAdmin() {
-  await mongoose.connect(process.env.MONGO_URI);
+  await mongoose.connect(config.mongo.uri);
   const email = process.argv[2];
   if (!email) {
     console.log("Usage: node makeAdmin.js user@example.com");
@@ -17,6 +20,7 @@ async function makeAdmin() {
   }
   u.role = "admin";
   await u.save();
+  await AuditLog.create({ actor: null, action: "user.promote", targetUser: u._id, details: { from: "user", to: "admin", via: "scripts/makeAdmin.js" } });
   console.log("User promoted to admin:", email);
   await mongoose.disconnect();
 }
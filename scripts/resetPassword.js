@@ -1,13 +1,11 @@
 // backend/scripts/resetPassword.js
 import mongoose from "mongoose";
-import dotenv from "dotenv";
-import bcrypt from "bcryptjs";
+import { config } from "../src/config.js";
 import User from "../src/models/User.js"; // adjust path if needed
-
-dotenv.config();
+import { revokeAllSessions } from "../src/utils/session.js";
 
 async function reset() {
-  await mongoose.connect(process.env.MONGO_URI);
+  await mongoose.connect(config.mongo.uri);
   const email = process.argv[2];
   const newPass = process.argv[3];
 
@@ -22,8 +20,10 @@ async function reset() {
     process.exit(1);
   }
 
-  u.password = await bcrypt.hash(newPass, 10);
+  // plain text on purpose: the User pre-save hook does the hashing
+  u.password = newPass;
   await u.save();
+  await revokeAllSessions(u._id);
   console.log("Password reset for", email);
   await mongoose.disconnect();
   process.exit(0);
@@ -1,129 +1,180 @@
 // src/app.js
 import express from "express";
 import mongoose from "mongoose";
-import dotenv from "dotenv";
 import cors from "cors";
 import authRoutes from "./routes/authRoutes.js";
 import sweetRoutes from "./routes/sweetRoutes.js";
 import cartRoutes from "./routes/cartRoutes.js";
-
-dotenv.config();
-
-const app = express();
-app.use(express.json({ limit: "10mb" }));
-app.use(express.urlencoded({ limit: "10mb", extended: true }));
-app.use(cors());
-
-// Health flag for DB
-let dbConnected = false;
+import orderRoutes from "./routes/orderRoutes.js";
+import adminUserRoutes from "./routes/adminUserRoutes.js";
+import adminInventoryRoutes from "./routes/adminInventoryRoutes.js";
+import categoryRoutes from "./routes/categoryRoutes.js";
+import adminCategoryRoutes from "./routes/adminCategoryRoutes.js";
+import adminCouponRoutes from "./routes/adminCouponRoutes.js";
+import reviewRoutes from "./routes/reviewRoutes.js";
+import adminReportRoutes from "./routes/adminReportRoutes.js";
+import wishlistRoutes from "./routes/wishlistRoutes.js";
+import adminReviewRoutes from "./routes/adminReviewRoutes.js";
+import addressRoutes from "./routes/addressRoutes.js";
+import shippingRoutes from "./routes/shippingRoutes.js";
+import adminShippingRoutes from "./routes/adminShippingRoutes.js";
+import adminCatalogueRoutes from "./routes/adminCatalogueRoutes.js";
+import { errorHandler, notFound } from "./middleware/errorHandler.js";
+import { requestId } from "./middleware/requestId.js";
+import { accessLog } from "./middleware/accessLog.js";
+import { registry, httpMetrics, setDbStateSource } from "./utils/metrics.js";
+import { HttpError } from "./utils/errors.js";
+import { pingDatabase } from "./db.js";
+import { getStorage, IMMUTABLE_CACHE_CONTROL } from "./storage/index.js";
+import { config as defaultConfig } from "./config.js";
 
 /**
- * Connect to MongoDB with retry & exponential backoff.
- * This function never throws — it logs and keeps retrying.
+ * Build the Express app without starting anything: no listening, no DB
+ * connection, no timers or signal handlers (see server.js for those), so
+ * tests can drive it with supertest.
+ *
+ * `db` is the mongoose Connection the API runs on; until it is connected
+ * /api answers 503. `config` defaults to the one loaded from the
+ * environment (see config.js); the app reads its server, cors and metrics
+ * sections.
+ *
+ * Setting `app.locals.draining` makes /readyz fail so load balancers stop
+ * routing here while the server shuts down.
  */
-async function connectWithRetry(uri, opts = {}) {
-  const baseDelay = 2000; // 2s initial
-  const maxAttempts = 10; // optional cap; uses large cap so it effectively retries a long time
-  let attempt = 0;
-
-  // default options: increase server selection timeout to handle transient slowness
-  const defaultOpts = {
-    serverSelectionTimeoutMS: 15000, // 15s
-    connectTimeoutMS: 15000,
-    // other mongoose options may be added here
-  };
+export function createApp({ db = mongoose.connection, config = defaultConfig } = {}) {
+  const { trustProxy, bodyLimit } = config.server;
+  const metricsToken = config.metrics.token;
+  const allowedOrigins = new Set(config.cors.origins);
+  const isDbReady = () => db.readyState === 1;
+
+  const app = express();
+  app.locals.draining = false;
+
+  // Behind a reverse proxy set TRUST_PROXY (e.g. 1) so req.ip — which rate
+  // limits key on — is the client's address rather than the proxy's.
+  if (trustProxy) {
+    const hops = Number(trustProxy);
+    app.set("trust proxy", Number.isNaN(hops) ? trustProxy : hops);
+  }
+  setDbStateSource(isDbReady);
+
+  app.use(requestId);
+  app.use(accessLog);
+  app.use(httpMetrics);
+  // Images go through multipart uploads (POST /api/sweets/:id/images), so
+  // JSON/form bodies no longer need room for base64 payloads (BODY_LIMIT).
+  app.use(express.json({ limit: bodyLimit }));
+  app.use(express.urlencoded({ limit: bodyLimit, extended: true }));
+  // Browsers may only call the API from the CORS_ORIGINS allow-list; other
+  // origins get no CORS headers. Requests without an Origin (curl, servers)
+  // aren't affected.
+  app.use(
+    cors({
+      origin: (origin, cb) => cb(null, !origin || allowedOrigins.has("*") || allowedOrigins.has(origin)),
+      exposedHeaders: ["X-Request-Id", "Retry-After", "RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset"],
+    })
+  );
+
+  // basic ping route (works regardless of DB)
+  app.get("/", (req, res) => {
+    res.status(200).json({
+      message: "🍬 Sweetify API (healthy) — server running",
+      dbConnected: isDbReady(),
+    });
+  });
 
-  const mOpts = { ...defaultOpts, ...opts };
+  // Liveness: the process is up and serving HTTP. Deliberately checks no
+  // dependencies, so a database outage doesn't get the process restarted.
+  app.get("/healthz", (req, res) => {
+    res.status(200).json({ status: "ok", uptimeSeconds: Math.round(process.uptime()) });
+  });
 
-  while (true) {
-    attempt += 1;
+  // Readiness: send traffic here only while MongoDB answers a ping and the
+  // server isn't draining. 503 otherwise, with the failing dependency.
+  app.get("/readyz", async (req, res) => {
+    const checks = {};
     try {
-      console.log(`🔌 Attempting MongoDB connection (attempt ${attempt})...`);
-      await mongoose.connect(uri, mOpts);
-      dbConnected = true;
-      console.log("✅ MongoDB Connected");
-      // stop retry loop on success
-      break;
+      checks.mongo = { status: "up", latencyMs: await pingDatabase(db) };
     } catch (err) {
-      dbConnected = false;
-      console.error(`❌ Failed to connect to MongoDB (attempt ${attempt}):`, err.message || err);
-      // exponential backoff with jitter
-      const delay = Math.min(baseDelay * Math.pow(2, attempt - 1), 60000); // cap 60s
-      const jitter = Math.round(Math.random() * 1000);
-      const wait = delay + jitter;
-      console.log(`⏳ Retrying in ${Math.round(wait / 1000)}s...`);
-      // optional: if you want to stop after N attempts, add check here.
-      await new Promise((res) => setTimeout(res, wait));
+      checks.mongo = { status: "down", error: err.message };
     }
-  }
-}
+    checks.storage = { status: "up", driver: getStorage().name };
 
-// basic ping route (works regardless of DB)
-app.get("/", (req, res) => {
-  res.status(200).json({
-    message: "🍬 Sweetify API (healthy) — server running",
-    dbConnected,
+    const ready = !app.locals.draining && Object.values(checks).every((c) => c.status === "up");
+    res.status(ready ? 200 : 503).json({
+      status: ready ? "ready" : app.locals.draining ? "draining" : "not_ready",
+      checks,
+    });
   });
-});
 
-// Middleware: if DB not ready, respond 503 for API routes that need DB.
-// This prevents long client-side timeouts and gives clear error messages.
-app.use("/api", (req, res, next) => {
-  // allow auth login/register endpoints to proceed (they will still fail if DB needed)
-  // but in general return 503 so frontend gets quick feedback instead of timeouts
-  if (!dbConnected) {
-    return res.status(503).json({
-      message:
-        "Service temporarily unavailable — database not connected. Please try again in a moment.",
+  // Prometheus scrape endpoint. With METRICS_TOKEN set, scrapers must send
+  // it as a Bearer token; without one it is only served in development and
+  // test, never publicly from a deployed server.
+  if (metricsToken || ["development", "test"].includes(config.env)) {
+    app.get("/metrics", async (req, res, next) => {
+      try {
+        if (metricsToken && req.get("Authorization") !== `Bearer ${metricsToken}`) {
+          throw new HttpError(401, "Not authorized to read metrics");
+        }
+        res.set("Content-Type", registry.contentType);
+        res.end(await registry.metrics());
+      } catch (error) {
+        next(error);
+      }
     });
   }
-  next();
-});
 
-// Attach routes (these will see the DB once connected)
-app.use("/api/auth", authRoutes);
-app.use("/api/sweets", sweetRoutes);
-app.use("/api/cart", cartRoutes);
-
-// 404 fallback
-app.use((req, res) => {
-  res.status(404).json({ message: "Route not found" });
-});
-
-// Start the HTTP server immediately (so health endpoints and logs are available).
-// The DB connection runs in the background via connectWithRetry.
-const PORT = process.env.PORT || 5001;
-const server = app.listen(PORT, "0.0.0.0", () => {
-  console.log(`🚀 Server running on http://127.0.0.1:${PORT}`);
-});
-
-// Start Mongo connection attempts (non-blocking)
-const MONGO_URI = process.env.MONGO_URI;
-if (!MONGO_URI) {
-  console.error("❌ MONGO_URI not set in environment — please set it in .env");
-} else {
-  connectWithRetry(MONGO_URI).catch((err) => {
-    // connectWithRetry should never throw, but catch defensively
-    console.error("❌ Unexpected error while connecting to MongoDB:", err);
-  });
-}
-
-// Graceful shutdown helpers
-const gracefulShutdown = async () => {
-  console.log("🛑 Shutting down gracefully...");
-  try {
-    await mongoose.disconnect();
-    console.log("🧾 MongoDB disconnected");
-  } catch (e) {
-    console.warn("⚠️ Error during Mongo disconnect", e);
+  // Uploaded images (local storage backend only). Keys are unique per upload,
+  // so responses can be cached forever.
+  const storage = getStorage();
+  if (storage.name === "local") {
+    app.use(
+      storage.publicPath,
+      express.static(storage.root, {
+        fallthrough: false,
+        setHeaders: (res) => res.setHeader("Cache-Control", IMMUTABLE_CACHE_CONTROL),
+      })
+    );
   }
-  server.close(() => {
-    console.log("💤 HTTP server closed");
-    process.exit(0);
-  });
-};
 
-process.on("SIGINT", gracefulShutdown);
-process.on("SIGTERM", gracefulShutdown);
+  // Middleware: if DB not ready, respond 503 for API routes that need DB.
+  // This prevents long client-side timeouts and gives clear error messages.
+  app.use("/api", (req, res, next) => {
+    if (!isDbReady()) {
+      return next(
+        new HttpError(
+          503,
+          "Service temporarily unavailable — database not connected. Please try again in a moment."
+        )
+      );
+    }
+    next();
+  });
 
-export default app;
\ No newline at end of file
+  // Attach routes (these will see the DB once connected)
+  app.use("/api/auth", authRoutes);
+  app.use("/api/sweets/:id/reviews", reviewRoutes);
+  app.use("/api/sweets", sweetRoutes);
+  app.use("/api/cart", cartRoutes);
+  app.use("/api/orders", orderRoutes);
+  app.use("/api/wishlist", wishlistRoutes);
+  app.use("/api/addresses", addressRoutes);
+  app.use("/api/shipping", shippingRoutes);
+  app.use("/api/categories", categoryRoutes);
+  app.use("/api/admin/users", adminUserRoutes);
+  app.use("/api/admin/categories", adminCategoryRoutes);
+  app.use("/api/admin/coupons", adminCouponRoutes);
+  app.use("/api/admin/reviews", adminReviewRoutes);
+  app.use("/api/admin/reports", adminReportRoutes);
+  app.use("/api/admin/shipping-methods", adminShippingRoutes);
+  app.use("/api/admin/catalogue", adminCatalogueRoutes);
+  app.use("/api/admin", adminInventoryRoutes);
+
+  // 404 fallback
+  app.use(notFound);
+
+  // Central error handler: every error becomes { error: { code, message, details } }
+  app.use(errorHandler);
+
+  return app;
+}
@@ -0,0 +1,255 @@
+// src/config.js
+// Load .env before reading anything; importing config is enough to get it.
+import "dotenv/config";
+
+/**
+ * Every runtime setting, read from the environment once, validated and
+ * frozen. Modules import `config` instead of reading process.env.
+ *
+ * NODE_ENV picks a profile (development — the default —, test or
+ * production) that supplies defaults and strictness:
+ * - production needs MONGO_URI, a strong JWT_SECRET and an explicit
+ *   CORS_ORIGINS allow-list ("*" is refused);
+ * - development needs MONGO_URI and a JWT_SECRET of at least 16 characters,
+ *   and allows the local frontend origins by default;
+ * - test has silent logs, no rate limiting and no MONGO_URI (tests hand
+ *   createApp their own connection); tests/setupEnv.js sets JWT_SECRET.
+ *
+ * Invalid settings throw a ConfigError listing every problem, so the
+ * server refuses to start instead of failing on the first request.
+ */
+
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map((p) => `  - ${p}`).join("\n")}`);
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+const PROFILES = {
+  development: {
+    jwtSecretMinLength: 16,
+    corsOrigins: ["http://localhost:5173", "http://127.0.0.1:5173"],
+    logFormat: "pretty",
+    preStopDelayMs: 0,
+  },
+  test: {
+    jwtSecretMinLength: 16,
+    corsOrigins: ["http://localhost:5173"],
+    logLevel: "silent",
+    rateLimitEnabled: false,
+    mongoOptional: true,
+    preStopDelayMs: 0,
+  },
+  production: {
+    jwtSecretMinLength: 32,
+    corsOrigins: null, // must be set
+    logFormat: "json",
+    preStopDelayMs: 5000,
+  },
+};
+
+// values that show up in tutorials and .env.example files
+const WEAK_SECRETS = ["secret", "changeme", "change-me", "jwtsecret", "jwt_secret", "your_jwt_secret", "password", "sweetify"];
+
+// per-route rate limits: RATE_LIMIT_<NAME>_MAX / RATE_LIMIT_<NAME>_WINDOW_MS
+const MINUTE = 60 * 1000;
+const RATE_LIMITS = {
+  login: { max: 10, windowMs: 15 * MINUTE },
+  register: { max: 5, windowMs: 60 * MINUTE },
+  password_reset: { max: 5, windowMs: 60 * MINUTE },
+  purchase: { max: 30, windowMs: MINUTE },
+  checkout: { max: 10, windowMs: MINUTE },
+};
+
+const LOG_LEVELS = ["debug", "info", "warn", "error", "silent"];
+const TTL_RE = /^\d+[smhd]?$/; // jsonwebtoken's expiresIn, e.g. "15m"
+
+/**
+ * Build the config from `env` (process.env by default). Exported for tests;
+ * everything else uses `config`.
+ */
+export function loadConfig(env = process.env) {
+  const problems = [];
+  const profileName = env.NODE_ENV || "development";
+  const profile = PROFILES[profileName];
+  if (!profile) {
+    throw new ConfigError([`NODE_ENV must be one of ${Object.keys(PROFILES).join(", ")} (got "${profileName}")`]);
+  }
+
+  const str = (name, fallback) => {
+    const value = env[name];
+    return value === undefined || value.trim() === "" ? fallback : value.trim();
+  };
+  const int = (name, fallback, { min = 0 } = {}) => {
+    const raw = str(name);
+    if (raw === undefined) return fallback;
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < min) {
+      problems.push(`${name} must be an integer >= ${min} (got "${raw}")`);
+      return fallback;
+    }
+    return value;
+  };
+  const bool = (name, fallback) => {
+    const raw = str(name);
+    if (raw === undefined) return fallback;
+    if (["true", "1", "yes"].includes(raw.toLowerCase())) return true;
+    if (["false", "0", "no"].includes(raw.toLowerCase())) return false;
+    problems.push(`${name} must be true or false (got "${raw}")`);
+    return fallback;
+  };
+  const oneOf = (name, allowed, fallback) => {
+    const value = str(name, fallback);
+    if (!allowed.includes(value)) {
+      problems.push(`${name} must be one of ${allowed.join(", ")} (got "${value}")`);
+      return fallback;
+    }
+    return value;
+  };
+  const list = (name, fallback) => {
+    const raw = str(name);
+    if (raw === undefined) return fallback;
+    return raw
+      .split(",")
+      .map((s) => s.trim().replace(/\/$/, ""))
+      .filter(Boolean);
+  };
+
+  // --- auth ---
+  const jwtSecret = str("JWT_SECRET");
+  if (!jwtSecret) {
+    problems.push("JWT_SECRET is required");
+  } else if (jwtSecret.length < profile.jwtSecretMinLength) {
+    problems.push(`JWT_SECRET must be at least ${profile.jwtSecretMinLength} characters in ${profileName}`);
+  } else if (WEAK_SECRETS.includes(jwtSecret.toLowerCase()) || new Set(jwtSecret).size < 6) {
+    problems.push("JWT_SECRET is too easy to guess; use a long random value");
+  }
+  const accessTokenTtl = str("ACCESS_TOKEN_TTL", "15m");
+  if (!TTL_RE.test(accessTokenTtl)) problems.push(`ACCESS_TOKEN_TTL must look like 900, 15m or 1h (got "${accessTokenTtl}")`);
+
+  // --- database ---
+  const mongoUri = str("MONGO_URI");
+  if (!mongoUri && !profile.mongoOptional) problems.push("MONGO_URI is required");
+  else if (mongoUri && !/^mongodb(\+srv)?:\/\//.test(mongoUri)) problems.push("MONGO_URI must start with mongodb:// or mongodb+srv://");
+
+  // --- CORS ---
+  const clientUrl = str("CLIENT_URL", "http://localhost:5173").replace(/\/$/, "");
+  let corsOrigins = list("CORS_ORIGINS", profile.corsOrigins && [...new Set([...profile.corsOrigins, clientUrl])]);
+  if (!corsOrigins || !corsOrigins.length) {
+    problems.push("CORS_ORIGINS is required (comma-separated list of allowed origins)");
+    corsOrigins = [];
+  } else if (profileName === "production" && corsOrigins.includes("*")) {
+    problems.push('CORS_ORIGINS may not be "*" in production');
+  }
+
+  // --- storage ---
+  const storageDriver = oneOf("STORAGE_DRIVER", ["local", "s3"], "local");
+  const s3Bucket = str("S3_BUCKET");
+  if (storageDriver === "s3" && !s3Bucket) problems.push("S3_BUCKET is required when STORAGE_DRIVER=s3");
+
+  const rateLimits = {};
+  for (const [name, defaults] of Object.entries(RATE_LIMITS)) {
+    const prefix = `RATE_LIMIT_${name.toUpperCase()}`;
+    rateLimits[name] = {
+      max: int(`${prefix}_MAX`, defaults.max, { min: 1 }),
+      windowMs: int(`${prefix}_WINDOW_MS`, defaults.windowMs, { min: 1000 }),
+    };
+  }
+
+  const config = {
+    env: profileName,
+    isProduction: profileName === "production",
+    server: {
+      port: int("PORT", 5001),
+      trustProxy: str("TRUST_PROXY"),
+      bodyLimit: str("BODY_LIMIT", "1mb"),
+      // keep serving (with /readyz failing) this long before closing the listener
+      preStopDelayMs: int("SHUTDOWN_PRE_STOP_DELAY_MS", profile.preStopDelayMs),
+      shutdownTimeoutMs: int("SHUTDOWN_TIMEOUT_MS", 10000),
+    },
+    mongo: {
+      uri: mongoUri,
+      serverSelectionTimeoutMs: int("MONGO_SERVER_SELECTION_TIMEOUT_MS", 15000),
+      connectTimeoutMs: int("MONGO_CONNECT_TIMEOUT_MS", 15000),
+      retryBaseDelayMs: int("MONGO_RETRY_BASE_DELAY_MS", 2000, { min: 1 }),
+      retryMaxDelayMs: int("MONGO_RETRY_MAX_DELAY_MS", 60000, { min: 1 }),
+    },
+    auth: {
+      jwtSecret,
+      accessTokenTtl,
+      refreshTokenTtlDays: int("REFRESH_TOKEN_TTL_DAYS", 30, { min: 1 }),
+      passwordResetTtlMinutes: int("PASSWORD_RESET_TTL_MINUTES", 60, { min: 1 }),
+      lockThreshold: int("LOGIN_LOCK_THRESHOLD", 5, { min: 1 }),
+      failureWindowMs: int("LOGIN_FAILURE_WINDOW_MS", 15 * MINUTE, { min: 1000 }),
+      lockBaseMs: int("LOGIN_LOCK_BASE_MS", MINUTE),
+      lockMaxMs: int("LOGIN_LOCK_MAX_MS", 24 * 60 * MINUTE),
+    },
+    cors: {
+      origins: corsOrigins,
+    },
+    clientUrl,
+    rateLimit: {
+      enabled: bool("RATE_LIMIT_ENABLED", profile.rateLimitEnabled ?? true),
+      store: oneOf("RATE_LIMIT_STORE", ["memory", "mongo"], "memory"),
+      limits: rateLimits,
+    },
+    storage: {
+      driver: storageDriver,
+      uploadDir: str("UPLOAD_DIR", "uploads"),
+      imageMaxBytes: int("IMAGE_MAX_BYTES", 5 * 1024 * 1024, { min: 1 }),
+      s3: {
+        bucket: s3Bucket,
+        region: str("S3_REGION"),
+        endpoint: str("S3_ENDPOINT"),
+        publicUrl: str("S3_PUBLIC_URL"),
+        accessKeyId: str("S3_ACCESS_KEY_ID"),
+        secretAccessKey: str("S3_SECRET_ACCESS_KEY"),
+      },
+    },
+    inventory: {
+      lowStockThreshold: int("LOW_STOCK_THRESHOLD", 5),
+    },
+    analytics: {
+      refreshMs: int("ANALYTICS_REFRESH_MS", 5 * MINUTE, { min: 1000 }),
+      reportTimezone: str("REPORT_TIMEZONE", "UTC"),
+    },
+    notify: {
+      channel: oneOf("NOTIFY_CHANNEL", ["console", "file"], "console"),
+      file: str("NOTIFY_FILE", ".tmp/notifications.log"),
+    },
+    mail: {
+      transport: oneOf("MAIL_TRANSPORT", ["console", "file"], "console"),
+      dir: str("MAIL_DIR", ".tmp/mail"),
+    },
+    log: {
+      level: oneOf("LOG_LEVEL", LOG_LEVELS, profile.logLevel || "info"),
+      format: oneOf("LOG_FORMAT", ["json", "pretty"], profile.logFormat || "json"),
+    },
+    metrics: {
+      token: str("METRICS_TOKEN"),
+    },
+  };
+
+  if (config.mongo.retryMaxDelayMs < config.mongo.retryBaseDelayMs) {
+    problems.push("MONGO_RETRY_MAX_DELAY_MS must be >= MONGO_RETRY_BASE_DELAY_MS");
+  }
+  try {
+    new Intl.DateTimeFormat("en", { timeZone: config.analytics.reportTimezone });
+  } catch {
+    problems.push(`REPORT_TIMEZONE is not a known time zone (got "${config.analytics.reportTimezone}")`);
+  }
+
+  if (problems.length) throw new ConfigError(problems);
+  return deepFreeze(config);
+}
+
+function deepFreeze(obj) {
+  for (const value of Object.values(obj)) {
+    if (value && typeof value === "object") deepFreeze(value);
+  }
+  return Object.freeze(obj);
+}
+
+export const config = loadConfig();
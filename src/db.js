@@ -0,0 +1,82 @@
+// src/db.js
+import mongoose from "mongoose";
+import Cart from "./models/Cart.js";
+import { migrateCategories } from "./utils/categories.js";
+import { backfillSales } from "./utils/sales.js";
+import { ensureShippingMethods } from "./utils/shipping.js";
+import { logger } from "./utils/logger.js";
+import { config } from "./config.js";
+
+/**
+ * Connect to MongoDB with retry & exponential backoff (config.mongo).
+ * This function never throws — it logs and keeps retrying.
+ */
+export async function connectWithRetry(uri = config.mongo.uri, opts = {}) {
+  const { retryBaseDelayMs: baseDelay, retryMaxDelayMs: maxDelay } = config.mongo;
+  let attempt = 0;
+
+  // default options: increase server selection timeout to handle transient slowness
+  const defaultOpts = {
+    serverSelectionTimeoutMS: config.mongo.serverSelectionTimeoutMs,
+    connectTimeoutMS: config.mongo.connectTimeoutMs,
+    // other mongoose options may be added here
+  };
+
+  const mOpts = { ...defaultOpts, ...opts };
+
+  while (true) {
+    attempt += 1;
+    try {
+      logger.info("Connecting to MongoDB", { attempt });
+      await mongoose.connect(uri, mOpts);
+      logger.info("MongoDB connected", { attempt });
+      return mongoose.connection;
+    } catch (err) {
+      logger.error("Failed to connect to MongoDB", { attempt, err });
+      // exponential backoff with jitter
+      const delay = Math.min(baseDelay * Math.pow(2, attempt - 1), maxDelay);
+      const jitter = Math.round(Math.random() * 1000);
+      const wait = delay + jitter;
+      logger.info("Retrying MongoDB connection", { inSeconds: Math.round(wait / 1000) });
+      await new Promise((res) => setTimeout(res, wait));
+    }
+  }
+}
+
+/**
+ * One-off data fixes and seeds to run once connected. Failures are logged,
+ * never thrown: the API can serve without them.
+ */
+export async function prepareDatabase() {
+  await Promise.all([
+    // Cart's old unique `user_1` index would reject a second guest cart
+    // (no user); syncIndexes drops it in favour of the partial index.
+    Cart.syncIndexes().catch((err) => logger.warn("Cart index sync failed", { err })),
+    // categories used to be a hard-coded enum on Sweet
+    migrateCategories().catch((err) => logger.warn("Category migration failed", { err })),
+    ensureShippingMethods().catch((err) => logger.warn("Shipping method seeding failed", { err })),
+    // rankings need the sales-event store; seed it from order history once
+    backfillSales().catch((err) => logger.warn("Sales backfill failed", { err })),
+  ]);
+}
+
+/**
+ * Round-trip to the server behind `db` (a mongoose Connection). Resolves
+ * with the latency in ms; rejects if not connected or slower than `timeoutMs`.
+ */
+export async function pingDatabase(db = mongoose.connection, { timeoutMs = 2000 } = {}) {
+  if (db.readyState !== 1) throw new Error("not connected");
+  const started = Date.now();
+  let timer;
+  try {
+    await Promise.race([
+      db.db.admin().ping(),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`no reply within ${timeoutMs}ms`)), timeoutMs);
+      }),
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+  return Date.now() - started;
+}
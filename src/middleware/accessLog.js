@@ -0,0 +1,29 @@
+// src/middleware/accessLog.js
+import morgan from "morgan";
+import { logger } from "../utils/logger.js";
+
+/**
+ * One structured "request" line per response, through the JSON logger
+ * (morgan only supplies the timing). 5xx log at error, 4xx at warn.
+ * Mount after requestId so lines carry the request id.
+ */
+export const accessLog = morgan(
+  (tokens, req, res) => {
+    const status = res.statusCode;
+    const level = status >= 500 ? "error" : status >= 400 ? "warn" : "info";
+    (req.log || logger)[level]("request", {
+      method: req.method,
+      url: req.originalUrl,
+      status,
+      durationMs: Number(tokens["response-time"](req, res)) || 0,
+      bytes: Number(tokens.res(req, res, "content-length")) || 0,
+      ip: req.ip,
+      userAgent: req.get("User-Agent"),
+      user: req.user ? String(req.user._id) : undefined,
+    });
+    // already logged; tell morgan there's nothing to write
+    return null;
+  },
+  // probes and scrapes would drown everything else
+  { skip: (req) => ["/", "/healthz", "/readyz", "/metrics"].includes(req.path) }
+);
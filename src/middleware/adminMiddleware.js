@@ -1,11 +1,13 @@
 // backend/src/middleware/adminMiddleware.js
+import { HttpError } from "../utils/errors.js";
+
 export const isAdmin = (req, res, next) => {
   if (!req.user) {
-    return res.status(401).json({ message: "Not authorized, no user" });
+    return next(new HttpError(401, "Not authorized, no user"));
   }
 
   if (req.user.role !== "admin") {
-    return res.status(403).json({ message: "Admin privileges required" });
+    return next(new HttpError(403, "Admin privileges required"));
   }
 
   next();
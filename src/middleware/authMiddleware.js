@@ -1,32 +1,66 @@
 // backend/src/middleware/authMiddleware.js
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import Session from "../models/Session.js";
+import { HttpError } from "../utils/errors.js";
+import { config } from "../config.js";
 
 export const protect = async (req, res, next) => {
-  let token;
-
-  if (
-    req.headers.authorization &&
-    req.headers.authorization.startsWith("Bearer")
-  ) {
-    try {
-      // Extract token from header
-      token = req.headers.authorization.split(" ")[1];
+  if (!req.headers.authorization || !req.headers.authorization.startsWith("Bearer")) {
+    return next(new HttpError(401, "Not authorized, no token"));
+  }
 
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  // Extract and verify token from header
+  const token = req.headers.authorization.split(" ")[1];
+  let decoded;
+  try {
+    decoded = jwt.verify(token, config.auth.jwtSecret);
+  } catch (error) {
+    // TOKEN_EXPIRED tells clients to use their refresh token
+    const code = error.name === "TokenExpiredError" ? "TOKEN_EXPIRED" : "INVALID_TOKEN";
+    return next(new HttpError(401, "Not authorized, token failed", { code }));
+  }
 
-      // Attach user to request (without password)
-      req.user = await User.findById(decoded.id).select("-password");
+  // Tokens issued before sessions existed can't be revoked, so they're refused
+  if (!decoded.sid) {
+    return next(new HttpError(401, "Not authorized, session expired", { code: "TOKEN_EXPIRED" }));
+  }
 
-      next();
-    } catch (error) {
-      console.error("❌ Auth error:", error);
-      res.status(401).json({ message: "Not authorized, token failed" });
-    }
+  let user, session;
+  try {
+    [user, session] = await Promise.all([
+      User.findById(decoded.id).select("-password"),
+      Session.findById(decoded.sid),
+    ]);
+  } catch (error) {
+    return next(error);
   }
 
-  if (!token) {
-    res.status(401).json({ message: "Not authorized, no token" });
+  if (!user) {
+    return next(new HttpError(401, "Not authorized, user no longer exists"));
   }
-};
\ No newline at end of file
+  if (user.disabled) {
+    return next(new HttpError(403, "Account disabled", { code: "ACCOUNT_DISABLED" }));
+  }
+  if (!session || !session.isActive() || !session.user.equals(user._id)) {
+    return next(new HttpError(401, "Not authorized, session revoked", { code: "SESSION_REVOKED" }));
+  }
+
+  // Attach user (without password) and session to request
+  req.user = user;
+  req.authSession = session;
+  next();
+};
+
+/**
+ * For public routes that show more to signed-in users: a valid Bearer token
+ * sets req.user exactly as `protect` would (same user, session and disabled
+ * checks). No token, or one `protect` refuses, leaves the request anonymous.
+ */
+export const optionalAuth = (req, res, next) => {
+  if (!req.headers.authorization || !req.headers.authorization.startsWith("Bearer")) return next();
+  return protect(req, res, (err) => {
+    if (err && !(err instanceof HttpError)) return next(err);
+    next();
+  });
+};
@@ -0,0 +1,38 @@
+// src/middleware/cartMiddleware.js
+import Cart from "../models/Cart.js";
+import { protect } from "./authMiddleware.js";
+import { hashCartToken } from "../utils/guestCart.js";
+import { HttpError } from "../utils/errors.js";
+
+/**
+ * Resolve whose cart a request addresses and set `req.cartFilter`.
+ *
+ * A Bearer token goes through `protect` and selects the user's cart;
+ * otherwise an `X-Cart-Token` header selects a guest cart, which must exist.
+ */
+export const cartOwner = async (req, res, next) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith("Bearer")) {
+    return protect(req, res, (err) => {
+      if (err) return next(err);
+      req.cartFilter = { user: req.user._id };
+      next();
+    });
+  }
+
+  const token = req.headers["x-cart-token"];
+  if (!token) {
+    return next(new HttpError(401, "Not authorized, no token or cart token"));
+  }
+
+  const guestTokenHash = hashCartToken(token);
+  let exists;
+  try {
+    exists = await Cart.exists({ guestTokenHash });
+  } catch (error) {
+    return next(error);
+  }
+  if (!exists) return next(new HttpError(404, "Guest cart not found or expired"));
+
+  req.cartFilter = { guestTokenHash };
+  next();
+};
@@ -0,0 +1,70 @@
+// src/middleware/errorHandler.js
+import mongoose from "mongoose";
+import { HttpError, defaultCodeFor } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Translate anything thrown by a route into an HttpError.
+ */
+function normalize(err) {
+  if (err instanceof HttpError) return err;
+
+  // Mongoose schema validation -> 422 with one detail per field
+  if (err instanceof mongoose.Error.ValidationError) {
+    const details = Object.values(err.errors).map((e) => ({ path: e.path, message: e.message }));
+    return new HttpError(422, "Validation failed", { details });
+  }
+  // malformed ObjectId (or other cast) that slipped past route validation
+  if (err instanceof mongoose.Error.CastError) {
+    return new HttpError(400, `Invalid ${err.path}: ${JSON.stringify(err.value)}`, {
+      code: err.kind === "ObjectId" ? "INVALID_ID" : "BAD_REQUEST",
+    });
+  }
+  // unique index violation
+  if (err && err.code === 11000) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    return new HttpError(409, "Duplicate value", {
+      code: "DUPLICATE",
+      details: fields.map((path) => ({ path, message: "already exists" })),
+    });
+  }
+  // multipart upload limits (multer)
+  if (err && err.name === "MulterError") {
+    if (err.code === "LIMIT_FILE_SIZE") return new HttpError(413, "File too large", { code: "PAYLOAD_TOO_LARGE" });
+    return new HttpError(422, err.message, { details: err.field ? [{ path: err.field, message: err.message }] : [] });
+  }
+  // body-parser and friends set a 4xx status (bad JSON, body too large, ...)
+  const status = err && (err.status || err.statusCode);
+  if (status >= 400 && status < 500) {
+    const message = err.type === "entity.parse.failed" ? "Malformed JSON body" : err.message;
+    return new HttpError(status, message);
+  }
+
+  return new HttpError(500, "Server error");
+}
+
+/**
+ * Final error middleware: every error response has the shape
+ * `{ error: { code, message, details[] }, message }`. The top-level `message`
+ * mirrors `error.message` for clients written against the old responses.
+ */
+export const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  const httpErr = normalize(err);
+  // deliberate 5xx HttpErrors (503 while the DB is down) are already in the access log
+  if (httpErr.status >= 500 && !(err instanceof HttpError)) {
+    (req.log || logger).error("Unhandled error", { method: req.method, url: req.originalUrl, err });
+  }
+  res.status(httpErr.status).json({
+    error: {
+      code: httpErr.code || defaultCodeFor(httpErr.status),
+      message: httpErr.message,
+      details: httpErr.details,
+    },
+    message: httpErr.message,
+  });
+};
+
+export const notFound = (req, res, next) => {
+  next(new HttpError(404, "Route not found"));
+};
@@ -0,0 +1,150 @@
+// src/middleware/rateLimit.js
+import RateLimitCounter from "../models/RateLimitCounter.js";
+import { HttpError } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+import { config } from "../config.js";
+
+/**
+ * Fixed-window rate limiting.
+ *
+ *   router.post("/login", rateLimit({ name: "login", max: 10, windowMs: 15 * 60 * 1000 }), handler)
+ *
+ * Each request is counted under `<name>:<key(req)>` (client IP by default).
+ * Responses carry RateLimit-Limit / -Remaining / -Reset headers; past `max`
+ * the request fails with 429 RATE_LIMITED and a Retry-After header.
+ *
+ * A store is `{ name, async hit(key, windowMs) -> { count, resetAt } }`.
+ * config.rateLimit.store picks a built-in ("memory", the default, per
+ * process; or "mongo", shared by every process on the database);
+ * `setRateLimitStore` swaps in anything else (Redis, ...).
+ * config.rateLimit.enabled = false turns limiting off.
+ */
+
+function createMemoryStore() {
+  const windows = new Map();
+  let sweeper = null;
+
+  // drop finished windows now and then so idle clients don't pile up
+  const sweep = () => {
+    const now = Date.now();
+    for (const [key, w] of windows) if (w.resetAt <= now) windows.delete(key);
+    if (!windows.size) {
+      clearInterval(sweeper);
+      sweeper = null;
+    }
+  };
+
+  return {
+    name: "memory",
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let w = windows.get(key);
+      if (!w || w.resetAt <= now) {
+        w = { count: 0, resetAt: now + windowMs };
+        windows.set(key, w);
+      }
+      w.count += 1;
+      if (!sweeper) {
+        sweeper = setInterval(sweep, 60 * 1000);
+        sweeper.unref();
+      }
+      return { count: w.count, resetAt: w.resetAt };
+    },
+  };
+}
+
+function createMongoStore() {
+  return {
+    name: "mongo",
+    async hit(key, windowMs) {
+      // windows are aligned so every process agrees on the counter's id
+      const start = Math.floor(Date.now() / windowMs) * windowMs;
+      const resetAt = start + windowMs;
+      const counter = await RateLimitCounter.findOneAndUpdate(
+        { _id: `${key}:${start}` },
+        { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(resetAt) } },
+        { upsert: true, new: true, lean: true }
+      );
+      return { count: counter.count, resetAt };
+    },
+  };
+}
+
+let store = null;
+
+export function getRateLimitStore() {
+  if (!store) store = config.rateLimit.store === "mongo" ? createMongoStore() : createMemoryStore();
+  return store;
+}
+
+export function setRateLimitStore(backend) {
+  store = backend;
+}
+
+export const rateLimit = ({ name, max, windowMs, key = (req) => req.ip, message = "Too many requests" }) => {
+  return async (req, res, next) => {
+    if (!config.rateLimit.enabled) return next();
+
+    let result;
+    try {
+      result = await getRateLimitStore().hit(`${name}:${key(req)}`, windowMs);
+    } catch (err) {
+      // a broken shared store must not take the API down with it
+      (req.log || logger).error("Rate limit store failed", { limit: name, err });
+      return next();
+    }
+
+    const resetSeconds = Math.max(1, Math.ceil((result.resetAt - Date.now()) / 1000));
+    res.set({
+      "RateLimit-Limit": String(max),
+      "RateLimit-Remaining": String(Math.max(0, max - result.count)),
+      "RateLimit-Reset": String(resetSeconds),
+    });
+    if (result.count > max) {
+      res.set("Retry-After", String(resetSeconds));
+      return next(
+        new HttpError(429, `${message}, try again in ${resetSeconds}s`, {
+          code: "RATE_LIMITED",
+          details: [{ limit: name, retryAfter: resetSeconds }],
+        })
+      );
+    }
+    next();
+  };
+};
+
+// logged-in routes count per account, so users behind one NAT don't share a budget
+const byUser = (req) => (req.user ? `user:${req.user._id}` : `ip:${req.ip}`);
+
+// limits come from config (RATE_LIMIT_<NAME>_MAX / _WINDOW_MS)
+export const loginLimiter = rateLimit({
+  name: "login",
+  ...config.rateLimit.limits.login,
+  message: "Too many login attempts",
+});
+
+export const registerLimiter = rateLimit({
+  name: "register",
+  ...config.rateLimit.limits.register,
+  message: "Too many sign-ups from this address",
+});
+
+export const passwordResetLimiter = rateLimit({
+  name: "password_reset",
+  ...config.rateLimit.limits.password_reset,
+  message: "Too many password reset requests",
+});
+
+export const purchaseLimiter = rateLimit({
+  name: "purchase",
+  ...config.rateLimit.limits.purchase,
+  key: byUser,
+  message: "Too many purchases",
+});
+
+export const checkoutLimiter = rateLimit({
+  name: "checkout",
+  ...config.rateLimit.limits.checkout,
+  key: byUser,
+  message: "Too many checkouts",
+});
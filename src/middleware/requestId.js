@@ -0,0 +1,19 @@
+// src/middleware/requestId.js
+import crypto from "crypto";
+import { logger } from "../utils/logger.js";
+
+// ids from upstream proxies are kept if they look sane
+const INCOMING_ID_RE = /^[\w.:-]{1,128}$/;
+
+/**
+ * Give every request an id: the caller's X-Request-Id when valid, otherwise
+ * a fresh UUID. It's echoed in the X-Request-Id response header and bound
+ * to `req.log`, so every line logged for the request can be correlated.
+ */
+export const requestId = (req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  req.id = incoming && INCOMING_ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  req.log = logger.child({ requestId: req.id });
+  next();
+};
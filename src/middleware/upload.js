@@ -0,0 +1,30 @@
+// src/middleware/upload.js
+import multer from "multer";
+import { HttpError } from "../utils/errors.js";
+import { config } from "../config.js";
+
+export const IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp", "image/gif"];
+export const MAX_IMAGE_BYTES = config.storage.imageMaxBytes;
+export const MAX_IMAGES_PER_REQUEST = 10;
+
+/**
+ * Multipart parser for image uploads: files stay in memory (they are
+ * re-encoded and handed to storage right away) and anything that doesn't
+ * claim to be an image is refused before it is buffered. The real content
+ * check happens in utils/images.js.
+ */
+export const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: MAX_IMAGES_PER_REQUEST },
+  fileFilter: (req, file, cb) => {
+    if (!IMAGE_TYPES.includes(file.mimetype)) {
+      return cb(
+        new HttpError(415, `Unsupported image type: ${file.mimetype}`, {
+          code: "UNSUPPORTED_MEDIA_TYPE",
+          details: [{ path: file.fieldname, message: `must be one of: ${IMAGE_TYPES.join(", ")}` }],
+        })
+      );
+    }
+    cb(null, true);
+  },
+});
@@ -0,0 +1,37 @@
+// src/models/AuditLog.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/**
+ * Append-only record of administrative changes: who did what to which user.
+ * `actor` is empty for changes made from a CLI script.
+ */
+const AuditLogSchema = new Schema(
+  {
+    actor: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    action: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    targetUser: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      index: true,
+    },
+    details: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+const AuditLog = mongoose.models.AuditLog || mongoose.model("AuditLog", AuditLogSchema);
+
+export default AuditLog;
@@ -3,6 +3,9 @@ import mongoose from "mongoose";
 
 const { Schema } = mongoose;
 
+// Guest carts are dropped by a TTL index after this long without changes
+export const GUEST_CART_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
 const CartItemSchema = new Schema(
   {
     item: {
@@ -10,11 +13,20 @@ const CartItemSchema = new Schema(
       ref: "Sweet",
       required: true,
     },
+    // required for sweets that have variants; a sweet may appear once per variant
+    variant: {
+      type: Schema.Types.ObjectId,
+      default: null,
+    },
     quantity: {
       type: Number,
       required: true,
       min: 1,
       default: 1,
+      validate: {
+        validator: Number.isInteger,
+        message: "Quantity must be a whole number",
+      },
     },
   },
   { _id: false } // keep subdocs compact
@@ -22,20 +34,63 @@ const CartItemSchema = new Schema(
 
 const CartSchema = new Schema(
   {
+    // Set for customer carts. Guest carts have no user and are looked up by
+    // the sha256 of the opaque cart token handed to the client instead.
     user: {
       type: Schema.Types.ObjectId,
       ref: "User",
-      required: true,
-      unique: true, // ensure one cart per user
+    },
+    guestTokenHash: {
+      type: String,
+    },
+    expiresAt: {
+      type: Date,
     },
     items: {
       type: [CartItemSchema],
       default: [],
     },
+    // applied coupon; re-checked every time the cart is priced
+    couponCode: {
+      type: String,
+      default: null,
+    },
+    // set while a checkout holds the cart, so a double-submit can't order it twice
+    checkoutAt: {
+      type: Date,
+      default: null,
+    },
   },
   { timestamps: true }
 );
 
+// one cart per user / per guest token; partial so the other kind isn't indexed as null
+CartSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { user: { $exists: true } }, name: "user_unique" }
+);
+CartSchema.index(
+  { guestTokenHash: 1 },
+  { unique: true, partialFilterExpression: { guestTokenHash: { $exists: true } }, name: "guest_token_unique" }
+);
+CartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+CartSchema.pre("validate", function (next) {
+  if (!this.user && !this.guestTokenHash) {
+    return next(new Error("Cart must belong to a user or a guest token"));
+  }
+  // keep idle guest carts alive while they are being used
+  if (!this.user) this.expiresAt = new Date(Date.now() + GUEST_CART_TTL_MS);
+  next();
+});
+
+CartSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.guestTokenHash;
+    return ret;
+  },
+});
+
 // ✅ Safety fix: prevent Mongoose model overwrite errors on hot reload
 const Cart = mongoose.models.Cart || mongoose.model("Cart", CartSchema);
 
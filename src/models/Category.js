@@ -0,0 +1,49 @@
+// src/models/Category.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/**
+ * Catalogue category. Sweets store the category *name* in `Sweet.category`
+ * (it feeds the text index and facets), so renaming a category also renames
+ * it on its sweets — see adminCategoryRoutes.
+ */
+const CategorySchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      unique: true,
+    },
+    slug: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      unique: true,
+    },
+    parent: {
+      type: Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+      index: true,
+    },
+    // display order among siblings, lowest first
+    order: {
+      type: Number,
+      default: 0,
+    },
+    // inactive categories are hidden and can't be given to sweets, but
+    // sweets already in them keep it
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+const Category = mongoose.models.Category || mongoose.model("Category", CategorySchema);
+
+export default Category;
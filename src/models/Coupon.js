@@ -0,0 +1,106 @@
+// src/models/Coupon.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+export const COUPON_TYPES = [
+  "percent", // `value` percent off the eligible lines
+  "fixed", // `value` off the eligible lines, at most their total
+  "free_item", // up to `freeItem.quantity` units of `freeItem.sweet` in the cart are free
+];
+
+const CouponSchema = new Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+      unique: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: COUPON_TYPES,
+      required: true,
+    },
+    value: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    freeItem: {
+      sweet: { type: Schema.Types.ObjectId, ref: "Sweet" },
+      variant: { type: Schema.Types.ObjectId, default: null },
+      quantity: { type: Number, min: 1, default: 1 },
+    },
+    // Limits percent/fixed discounts to these sweets or categories (names,
+    // subcategories included); both empty means the whole cart
+    scope: {
+      sweets: { type: [{ type: Schema.Types.ObjectId, ref: "Sweet" }], default: [] },
+      categories: { type: [String], default: [] },
+    },
+    // cart subtotal (before discounts) needed for the coupon to apply
+    minSubtotal: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    startsAt: {
+      type: Date,
+      default: null,
+    },
+    endsAt: {
+      type: Date,
+      default: null,
+    },
+    // null = unlimited
+    maxUses: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    maxUsesPerUser: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    // checked-out orders using the coupon; only moved by utils/coupons.js
+    usedCount: {
+      type: Number,
+      default: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+CouponSchema.pre("validate", function (next) {
+  if (this.type === "percent" && !(this.value > 0 && this.value <= 100)) {
+    this.invalidate("value", "Percent coupons need a value between 0 and 100");
+  }
+  if (this.type === "fixed" && !(this.value > 0)) {
+    this.invalidate("value", "Fixed coupons need a positive value");
+  }
+  if (this.type === "free_item" && !this.freeItem?.sweet) {
+    this.invalidate("freeItem.sweet", "Free-item coupons need a sweet");
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate("endsAt", "endsAt must be after startsAt");
+  }
+  next();
+});
+
+const Coupon = mongoose.models.Coupon || mongoose.model("Coupon", CouponSchema);
+
+export default Coupon;
@@ -0,0 +1,36 @@
+// src/models/CouponUsage.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/**
+ * How often a user has used a coupon. One document per (coupon, user); the
+ * unique index is what keeps per-user limits exact under concurrent
+ * checkouts (see claimCoupon in utils/coupons.js).
+ */
+const CouponUsageSchema = new Schema(
+  {
+    coupon: {
+      type: Schema.Types.ObjectId,
+      ref: "Coupon",
+      required: true,
+    },
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+CouponUsageSchema.index({ coupon: 1, user: 1 }, { unique: true });
+
+const CouponUsage = mongoose.models.CouponUsage || mongoose.model("CouponUsage", CouponUsageSchema);
+
+export default CouponUsage;
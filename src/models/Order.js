@@ -0,0 +1,159 @@
+// src/models/Order.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+export const ORDER_STATUSES = ["pending", "paid", "preparing", "shipped", "delivered", "cancelled"];
+
+// Legal lifecycle moves: status -> statuses it may move to next
+export const ORDER_TRANSITIONS = {
+  pending: ["paid", "cancelled"],
+  paid: ["preparing", "cancelled"],
+  preparing: ["shipped", "cancelled"],
+  shipped: ["delivered"],
+  delivered: [],
+  cancelled: [],
+};
+
+// Snapshot of a purchased line — name and price are copied so later catalogue
+// edits never change what the customer was charged.
+const OrderItemSchema = new Schema(
+  {
+    sweet: {
+      type: Schema.Types.ObjectId,
+      ref: "Sweet",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    variant: {
+      type: Schema.Types.ObjectId,
+      default: null,
+    },
+    sku: String,
+    variantName: String,
+    unitPrice: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    lineTotal: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+const DiscountSchema = new Schema(
+  {
+    code: { type: String, required: true },
+    description: String,
+    amount: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+// copy of the address at checkout; later address-book edits don't change it
+const ShippingAddressSchema = new Schema(
+  {
+    recipient: String,
+    line1: String,
+    line2: String,
+    city: String,
+    region: String,
+    postcode: String,
+    country: String,
+    phone: String,
+  },
+  { _id: false }
+);
+
+const StatusChangeSchema = new Schema(
+  {
+    from: { type: String, enum: ORDER_STATUSES },
+    to: { type: String, enum: ORDER_STATUSES, required: true },
+    by: { type: Schema.Types.ObjectId, ref: "User" },
+    note: { type: String, trim: true },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const OrderSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    items: {
+      type: [OrderItemSchema],
+      validate: [(v) => Array.isArray(v) && v.length > 0, "Order must contain at least one item"],
+    },
+    subtotal: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    coupon: {
+      type: Schema.Types.ObjectId,
+      ref: "Coupon",
+      default: null,
+    },
+    couponCode: String,
+    discounts: {
+      type: [DiscountSchema],
+      default: [],
+    },
+    discountTotal: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    shippingMethod: String,
+    shippingAddress: {
+      type: ShippingAddressSchema,
+      default: undefined,
+    },
+    shippingFee: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // subtotal - discountTotal + shippingFee
+    total: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    status: {
+      type: String,
+      enum: ORDER_STATUSES,
+      default: "pending",
+      index: true,
+    },
+    statusHistory: {
+      type: [StatusChangeSchema],
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+OrderSchema.statics.canTransition = function (from, to) {
+  return (ORDER_TRANSITIONS[from] || []).includes(to);
+};
+
+const Order = mongoose.models.Order || mongoose.model("Order", OrderSchema);
+
+export default Order;
@@ -0,0 +1,25 @@
+// src/models/RateLimitCounter.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/**
+ * Hit counter for one rate-limit key and window, shared by every API
+ * process (RATE_LIMIT_STORE=mongo). `_id` is "<key>:<window start>"; Mongo's
+ * TTL monitor drops counters once their window is over.
+ */
+const RateLimitCounterSchema = new Schema(
+  {
+    _id: { type: String },
+    count: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true },
+  },
+  { versionKey: false }
+);
+
+RateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitCounter =
+  mongoose.models.RateLimitCounter || mongoose.model("RateLimitCounter", RateLimitCounterSchema);
+
+export default RateLimitCounter;
@@ -0,0 +1,70 @@
+// src/models/Review.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+export const REVIEW_STATUSES = ["visible", "hidden"];
+
+/**
+ * A customer's review of a sweet — one per user per sweet. Only visible
+ * reviews count towards Sweet.ratingAvg / ratingCount (utils/reviews.js).
+ */
+const ReviewSchema = new Schema(
+  {
+    sweet: {
+      type: Schema.Types.ObjectId,
+      ref: "Sweet",
+      required: true,
+    },
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    rating: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 5,
+      validate: {
+        validator: Number.isInteger,
+        message: "Rating must be a whole number",
+      },
+    },
+    title: {
+      type: String,
+      trim: true,
+    },
+    body: {
+      type: String,
+      trim: true,
+    },
+    // the user had bought the sweet when the review was last written
+    verifiedPurchase: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: REVIEW_STATUSES,
+      default: "visible",
+    },
+    hiddenBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    hiddenReason: {
+      type: String,
+      trim: true,
+    },
+  },
+  { timestamps: true }
+);
+
+ReviewSchema.index({ sweet: 1, user: 1 }, { unique: true });
+ReviewSchema.index({ sweet: 1, status: 1, createdAt: -1 });
+
+const Review = mongoose.models.Review || mongoose.model("Review", ReviewSchema);
+
+export default Review;
@@ -0,0 +1,81 @@
+// src/models/SaleEvent.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+export const SALE_SOURCES = [
+  "purchase", // POST /api/sweets/:id/purchase
+  "checkout", // a cart checkout, one event per order line
+];
+
+/**
+ * One sold line, written when the sale happens (utils/sales.js). Rankings
+ * and sales reports aggregate these by time window. Name, category and
+ * prices are snapshots; a cancelled order marks its events with
+ * `cancelledAt` and they drop out of every aggregate.
+ */
+const SaleEventSchema = new Schema(
+  {
+    sweet: {
+      type: Schema.Types.ObjectId,
+      ref: "Sweet",
+      required: true,
+    },
+    variant: {
+      type: Schema.Types.ObjectId,
+      default: null,
+    },
+    name: String,
+    category: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    unitPrice: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // unitPrice * quantity
+    gross: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // gross minus this line's share of order discounts
+    revenue: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    source: {
+      type: String,
+      enum: SALE_SOURCES,
+      required: true,
+    },
+    order: {
+      type: Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+SaleEventSchema.index({ createdAt: -1 });
+SaleEventSchema.index({ sweet: 1, createdAt: -1 });
+SaleEventSchema.index({ order: 1 }, { partialFilterExpression: { order: { $type: "objectId" } } });
+
+const SaleEvent = mongoose.models.SaleEvent || mongoose.model("SaleEvent", SaleEventSchema);
+
+export default SaleEvent;
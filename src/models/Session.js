@@ -0,0 +1,50 @@
+// src/models/Session.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/**
+ * One login session. Access tokens carry the session id (`sid`), so revoking
+ * the session invalidates them too. The refresh token itself is never stored,
+ * only its sha256; it is rotated on every use.
+ */
+const SessionSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    userAgent: String,
+    ip: String,
+  },
+  { timestamps: true }
+);
+
+// let Mongo drop sessions once the refresh token has expired
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+SessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.models.Session || mongoose.model("Session", SessionSchema);
+
+export default Session;
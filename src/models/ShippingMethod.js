@@ -0,0 +1,75 @@
+// src/models/ShippingMethod.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/**
+ * Pricing rules for one destination zone. A zone matches an address whose
+ * country is in `countries` (empty = any) and whose postcode starts with one
+ * of `postcodePrefixes` (empty = any). The first matching zone is used.
+ *
+ * fee = baseFee + perItemFee * items beyond `includedItems`
+ *             + perKgFee * total weight in kg,
+ * or 0 when the cart total reaches `freeOver`.
+ */
+const ZoneSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    countries: { type: [String], default: [] },
+    postcodePrefixes: { type: [String], default: [] },
+    baseFee: { type: Number, min: 0, default: 0 },
+    includedItems: { type: Number, min: 0, default: 0 },
+    perItemFee: { type: Number, min: 0, default: 0 },
+    perKgFee: { type: Number, min: 0, default: 0 },
+    freeOver: { type: Number, min: 0, default: null },
+    // limits beyond which the method isn't offered; null = none
+    maxItems: { type: Number, min: 1, default: null },
+    maxWeightGrams: { type: Number, min: 1, default: null },
+    minDays: { type: Number, min: 0 },
+    maxDays: { type: Number, min: 0 },
+  },
+  { _id: false }
+);
+
+const ShippingMethodSchema = new Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      unique: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    // false for in-store pickup
+    requiresAddress: {
+      type: Boolean,
+      default: true,
+    },
+    zones: {
+      type: [ZoneSchema],
+      default: [],
+    },
+    order: {
+      type: Number,
+      default: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+const ShippingMethod = mongoose.models.ShippingMethod || mongoose.model("ShippingMethod", ShippingMethodSchema);
+
+export default ShippingMethod;
@@ -0,0 +1,53 @@
+// src/models/StockAlert.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/**
+ * Raised when a sweet's stock falls to its low-stock threshold; resolved
+ * automatically once stock rises above it again. At most one open alert
+ * exists per sweet.
+ */
+const StockAlertSchema = new Schema(
+  {
+    sweet: {
+      type: Schema.Types.ObjectId,
+      ref: "Sweet",
+      required: true,
+    },
+    threshold: {
+      type: Number,
+      required: true,
+    },
+    stock: {
+      type: Number,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["open", "acknowledged", "resolved"],
+      default: "open",
+      index: true,
+    },
+    acknowledgedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// one unresolved alert per sweet
+StockAlertSchema.index(
+  { sweet: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ["open", "acknowledged"] } }, name: "one_active_alert" }
+);
+
+const StockAlert = mongoose.models.StockAlert || mongoose.model("StockAlert", StockAlertSchema);
+
+export default StockAlert;
@@ -0,0 +1,90 @@
+// src/models/StockMovement.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+export const STOCK_MOVEMENT_REASONS = [
+  "initial", // stock given when the sweet was created
+  "purchase", // single-item purchase
+  "checkout", // cart checkout reservation
+  "checkout_rollback", // reservation undone because checkout failed
+  "order_cancelled", // stock returned by a cancelled order
+  "restock",
+  "adjustment", // manual correction by an admin
+  "import", // set by a catalogue import (utils/catalogue.js)
+];
+
+/**
+ * Append-only ledger of stock changes. Every change to Sweet.stock goes
+ * through utils/inventory.js, which writes one of these, so the sum of
+ * `delta` per sweet reconciles with its current stock.
+ */
+const StockMovementSchema = new Schema(
+  {
+    sweet: {
+      type: Schema.Types.ObjectId,
+      ref: "Sweet",
+      required: true,
+    },
+    delta: {
+      type: Number,
+      required: true,
+    },
+    before: {
+      type: Number,
+      required: true,
+    },
+    after: {
+      type: Number,
+      required: true,
+    },
+    // set when the change was to one variant; before/after stay sweet totals
+    variant: {
+      type: Schema.Types.ObjectId,
+      default: null,
+    },
+    sku: {
+      type: String,
+    },
+    reason: {
+      type: String,
+      enum: STOCK_MOVEMENT_REASONS,
+      required: true,
+    },
+    actor: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    order: {
+      type: Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+StockMovementSchema.index({ sweet: 1, createdAt: -1 });
+
+// append-only: refuse edits and deletes through the model
+const refuse = function (next) {
+  next(new Error("Stock movements are append-only"));
+};
+StockMovementSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "deleteOne", "deleteMany", "findOneAndDelete"],
+  refuse
+);
+StockMovementSchema.pre("save", function (next) {
+  if (!this.isNew) return refuse(next);
+  next();
+});
+
+const StockMovement =
+  mongoose.models.StockMovement || mongoose.model("StockMovement", StockMovementSchema);
+
+export default StockMovement;
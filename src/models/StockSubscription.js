@@ -0,0 +1,45 @@
+// src/models/StockSubscription.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/**
+ * "Notify me when back in stock". Fires once: sending sets `notifiedAt`,
+ * after which the user has to subscribe again. `variant` null means "any
+ * stock of the sweet".
+ */
+const StockSubscriptionSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    sweet: {
+      type: Schema.Types.ObjectId,
+      ref: "Sweet",
+      required: true,
+    },
+    variant: {
+      type: Schema.Types.ObjectId,
+      default: null,
+    },
+    notifiedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// one pending subscription per user and sweet/variant
+StockSubscriptionSchema.index(
+  { user: 1, sweet: 1, variant: 1 },
+  { unique: true, partialFilterExpression: { notifiedAt: null }, name: "one_pending_subscription" }
+);
+StockSubscriptionSchema.index({ sweet: 1, variant: 1, notifiedAt: 1 });
+
+const StockSubscription =
+  mongoose.models.StockSubscription || mongoose.model("StockSubscription", StockSubscriptionSchema);
+
+export default StockSubscription;
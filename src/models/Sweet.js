@@ -1,6 +1,58 @@
 // backend/src/models/Sweet.js
 import mongoose from "mongoose";
 
+// Uploaded image; files live in the storage backend (see src/storage)
+const imageSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    url: { type: String, required: true },
+    thumbnailKey: String,
+    thumbnailUrl: String,
+    contentType: String,
+    size: Number,
+    width: Number,
+    height: Number,
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// A purchasable option of a sweet ("Box of 6", "Dark, 250g"), with its own
+// SKU, price and stock. When a sweet has variants its own `price` is the
+// lowest variant price and its `stock` the total over all variants.
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+  },
+  name: {
+    type: String,
+    trim: true,
+  },
+  // free-form options, e.g. { size: "large", flavour: "dark", pack: "12" }
+  attributes: {
+    type: Map,
+    of: String,
+    default: {},
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  stock: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // overrides the sweet's weight for shipping
+  weightGrams: {
+    type: Number,
+    min: 0,
+  },
+});
+
 const sweetSchema = new mongoose.Schema(
   {
     name: {
@@ -17,26 +69,120 @@ const sweetSchema = new mongoose.Schema(
       required: true,
       min: 0,
     },
+    // name of a Category (see models/Category.js); checked by the routes
     category: {
       type: String,
-      enum: ["Chocolate", "Candy", "Pastry", "Other"],
+      trim: true,
       default: "Other",
     },
+    // primary image URL; follows the first uploaded image
     image: {
       type: String,
       default: "https://via.placeholder.com/150", // Default image
     },
+    images: {
+      type: [imageSchema],
+      default: [],
+    },
     stock: {
       type: Number,
       default: 0,
     },
+    variants: {
+      type: [variantSchema],
+      default: [],
+      validate: {
+        validator: (variants) => new Set(variants.map((v) => v.sku)).size === variants.length,
+        message: "Variant SKUs must be unique",
+      },
+    },
+    // per unit, for weight-based shipping rules
+    weightGrams: {
+      type: Number,
+      min: 0,
+    },
+    // alert when stock falls to this level; null uses LOW_STOCK_THRESHOLD
+    lowStockThreshold: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
     },
+    // all-time units sold, moved by adjustStock() alongside stock
+    purchasedCount: {
+      type: Number,
+      default: 0,
+    },
+    // over visible reviews; maintained by utils/reviews.js
+    ratingAvg: {
+      type: Number,
+      default: 0,
+    },
+    ratingCount: {
+      type: Number,
+      default: 0,
+    },
+    // Archived (soft-deleted) sweets are hidden from the catalogue but stay
+    // resolvable for orders and carts until an admin purges them
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
   },
   { timestamps: true }
 );
 
+// Matches sweets that are in the catalogue. `$ne: false` also covers
+// documents created before `isActive` existed.
+export const ACTIVE_FILTER = { isActive: { $ne: false } };
+
+// Full-text index for /search; name matches rank highest
+sweetSchema.index(
+  { name: "text", description: "text", category: "text" },
+  { weights: { name: 10, category: 5, description: 2 }, name: "sweet_text" }
+);
+
+// SKUs are unique across the whole catalogue
+sweetSchema.index(
+  { "variants.sku": 1 },
+  { unique: true, partialFilterExpression: { "variants.sku": { $exists: true } }, name: "variant_sku_unique" }
+);
+
+// `priceRange` spans the variant prices (or is just `price` without
+// variants); only added when `variants` was selected
+function withPriceRange(doc, ret) {
+  if (!Array.isArray(ret.variants)) return ret;
+  const prices = ret.variants.length ? ret.variants.map((v) => v.price) : [ret.price];
+  if (prices.every((p) => typeof p === "number")) {
+    ret.priceRange = { min: Math.min(...prices), max: Math.max(...prices) };
+  }
+  return ret;
+}
+sweetSchema.set("toJSON", { transform: withPriceRange });
+sweetSchema.set("toObject", { flattenMaps: true, transform: withPriceRange });
+
+/**
+ * Keep `price` at the lowest variant price after variants change. Runs as a
+ * single pipeline update so it can't race with stock changes.
+ */
+sweetSchema.statics.syncVariantPrice = function (id) {
+  return this.updateOne({ _id: id, "variants.0": { $exists: true } }, [
+    { $set: { price: { $min: "$variants.price" } } },
+  ]);
+};
+
 const Sweet = mongoose.model("Sweet", sweetSchema);
 export default Sweet;
\ No newline at end of file
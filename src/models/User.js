@@ -2,6 +2,25 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
 
+export const MAX_ADDRESSES = 20;
+
+// Address book entry; at most one has isDefault (see addressRoutes)
+const addressSchema = new mongoose.Schema(
+  {
+    label: { type: String, trim: true }, // "Home", "Office"
+    recipient: { type: String, required: true, trim: true },
+    line1: { type: String, required: true, trim: true },
+    line2: { type: String, trim: true },
+    city: { type: String, required: true, trim: true },
+    region: { type: String, trim: true },
+    postcode: { type: String, required: true, trim: true, uppercase: true },
+    country: { type: String, required: true, trim: true, uppercase: true }, // ISO 3166 alpha-2
+    phone: { type: String, trim: true },
+    isDefault: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
 const userSchema = new mongoose.Schema(
   {
     username: {
@@ -27,6 +46,49 @@ const userSchema = new mongoose.Schema(
       enum: ["user", "admin"],
       default: "user",
     },
+    // disabled accounts can't log in and their sessions are revoked
+    disabled: {
+      type: Boolean,
+      default: false,
+    },
+    disabledAt: {
+      type: Date,
+      default: null,
+    },
+    // sha256 of the single-use token from /forgot-password
+    passwordResetTokenHash: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
+    passwordChangedAt: {
+      type: Date,
+    },
+    // login lockout (see utils/loginLockout.js)
+    failedLoginCount: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedLoginAt: {
+      type: Date,
+      default: null,
+    },
+    lockCount: {
+      type: Number,
+      default: 0,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    addresses: {
+      type: [addressSchema],
+      default: [],
+      validate: [(v) => v.length <= MAX_ADDRESSES, `At most ${MAX_ADDRESSES} addresses`],
+    },
   },
   { timestamps: true }
 );
@@ -34,6 +96,7 @@ const userSchema = new mongoose.Schema(
 // ✅ Hash password before saving (only if modified)
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
+  if (!this.isNew) this.passwordChangedAt = new Date();
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
@@ -52,6 +115,8 @@ userSchema.methods.matchPassword = async function (enteredPassword) {
 userSchema.set("toJSON", {
   transform: (doc, ret) => {
     delete ret.password;
+    delete ret.passwordResetTokenHash;
+    delete ret.passwordResetExpires;
     return ret;
   },
 });
@@ -0,0 +1,28 @@
+// src/models/WishlistItem.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+// A sweet saved for later; one per user per sweet
+const WishlistItemSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    sweet: {
+      type: Schema.Types.ObjectId,
+      ref: "Sweet",
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+WishlistItemSchema.index({ user: 1, sweet: 1 }, { unique: true });
+WishlistItemSchema.index({ sweet: 1 });
+
+const WishlistItem = mongoose.models.WishlistItem || mongoose.model("WishlistItem", WishlistItemSchema);
+
+export default WishlistItem;
@@ -0,0 +1,130 @@
+// src/routes/addressRoutes.js
+import express from "express";
+import User, { MAX_ADDRESSES } from "../models/User.js";
+import { protect } from "../middleware/authMiddleware.js";
+import { validate } from "../middleware/validate.js";
+import { HttpError } from "../utils/errors.js";
+import {
+  listAddressesSchema,
+  createAddressSchema,
+  updateAddressSchema,
+  addressIdSchema,
+} from "../validators/shippingValidators.js";
+
+const router = express.Router();
+
+router.use(protect);
+
+// the user re-read with only the address book, so saving never touches other fields
+async function loadAddressBook(userId) {
+  const user = await User.findById(userId).select("addresses");
+  if (!user) throw new HttpError(404, "User not found");
+  return user;
+}
+
+function findAddress(user, id) {
+  const address = user.addresses.id(id);
+  if (!address) throw new HttpError(404, "Address not found");
+  return address;
+}
+
+// exactly one default whenever the book isn't empty
+function makeDefault(user, address) {
+  for (const a of user.addresses) a.isDefault = a._id.equals(address._id);
+}
+
+/**
+ * The user's address book, default first
+ * GET /api/addresses
+ */
+router.get("/", validate(listAddressesSchema), async (req, res, next) => {
+  try {
+    const user = await loadAddressBook(req.user._id);
+    const addresses = [...user.addresses].sort((a, b) => Number(b.isDefault) - Number(a.isDefault));
+    return res.status(200).json({ addresses, count: addresses.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Add an address; the first one (or one sent with isDefault) becomes the default
+ * POST /api/addresses
+ */
+router.post("/", validate(createAddressSchema), async (req, res, next) => {
+  try {
+    const user = await loadAddressBook(req.user._id);
+    if (user.addresses.length >= MAX_ADDRESSES) {
+      throw new HttpError(409, `At most ${MAX_ADDRESSES} addresses can be saved`, { code: "ADDRESS_LIMIT" });
+    }
+    user.addresses.push({ ...req.body, isDefault: false });
+    const address = user.addresses[user.addresses.length - 1];
+    if (req.body.isDefault || user.addresses.length === 1) makeDefault(user, address);
+    await user.save();
+
+    return res.status(201).json({ message: "✅ Address added", address });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Edit an address. isDefault: true moves the default here; the default
+ * can't be cleared directly, only moved.
+ * PATCH /api/addresses/:id
+ */
+router.patch("/:id", validate(updateAddressSchema), async (req, res, next) => {
+  try {
+    const user = await loadAddressBook(req.user._id);
+    const address = findAddress(user, req.params.id);
+    const { isDefault, ...fields } = req.body;
+
+    address.set(fields);
+    if (isDefault === true) makeDefault(user, address);
+    await user.save();
+
+    return res.status(200).json({ message: "✅ Address updated", address });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Make an address the default
+ * POST /api/addresses/:id/default
+ */
+router.post("/:id/default", validate(addressIdSchema), async (req, res, next) => {
+  try {
+    const user = await loadAddressBook(req.user._id);
+    const address = findAddress(user, req.params.id);
+    makeDefault(user, address);
+    await user.save();
+
+    return res.status(200).json({ message: "✅ Default address set", address });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Remove an address; if it was the default, the most recently added one
+ * left takes over. Orders keep their own copy of the address.
+ * DELETE /api/addresses/:id
+ */
+router.delete("/:id", validate(addressIdSchema), async (req, res, next) => {
+  try {
+    const user = await loadAddressBook(req.user._id);
+    const address = findAddress(user, req.params.id);
+    const wasDefault = address.isDefault;
+
+    user.addresses.pull(address._id);
+    if (wasDefault && user.addresses.length) makeDefault(user, user.addresses[user.addresses.length - 1]);
+    await user.save();
+
+    return res.status(200).json({ message: "🗑️ Address removed", id: req.params.id });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,90 @@
+// src/routes/adminCatalogueRoutes.js
+import express from "express";
+import { protect } from "../middleware/authMiddleware.js";
+import { isAdmin } from "../middleware/adminMiddleware.js";
+import { validate } from "../middleware/validate.js";
+import { HttpError } from "../utils/errors.js";
+import { toCsv } from "../utils/csv.js";
+import {
+  CSV_COLUMNS,
+  catalogueCsvRows,
+  exportCatalogue,
+  importCatalogue,
+  importErrorDetails,
+  importProgressDetails,
+} from "../utils/catalogue.js";
+import { exportSchema, importSchema } from "../validators/catalogueValidators.js";
+import { config } from "../config.js";
+
+const router = express.Router();
+
+// everything here is admin-only
+router.use(protect, isAdmin);
+
+// CSV uploads; JSON bodies are already parsed by the app
+const csvBody = express.text({ type: ["text/csv", "application/csv", "text/plain"], limit: config.server.bodyLimit });
+
+/**
+ * Export the catalogue for editing and re-import.
+ * GET /api/admin/catalogue/export?format=csv|json&includeArchived=
+ *
+ * CSV has one row per variant; JSON one record per sweet. See
+ * utils/catalogue.js for the columns.
+ */
+router.get("/export", validate(exportSchema), async (req, res, next) => {
+  try {
+    const { format, includeArchived } = req.query;
+    const records = await exportCatalogue({ includeArchived });
+    const name = `catalogue-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader("Content-Disposition", `attachment; filename="${name}"`);
+
+    if (format === "csv") {
+      const columns = includeArchived ? [...CSV_COLUMNS, "archived"] : CSV_COLUMNS;
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      return res.status(200).send(toCsv(catalogueCsvRows(records), columns));
+    }
+    return res.status(200).json({ exportedAt: new Date(), count: records.length, sweets: records });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Import sweets, creating or updating by SKU or name.
+ * POST /api/admin/catalogue/import?dryRun=true
+ * Body: CSV (Content-Type: text/csv) or JSON ([...] or { sweets: [...] })
+ *
+ * Every row is validated first. A dry run reports per-row errors and the
+ * create/update/unchanged diff without writing; a real import with any
+ * error writes nothing and answers 422 IMPORT_INVALID. If a write fails
+ * part-way, the answer is 500 IMPORT_INCOMPLETE with each entry marked
+ * written or not; sending the same import again completes it.
+ */
+router.post("/import", csvBody, validate(importSchema), async (req, res, next) => {
+  try {
+    const format = typeof req.body === "string" ? "csv" : "json";
+    const report = await importCatalogue(req.body, { format, dryRun: req.query.dryRun, actor: req.user._id });
+
+    if (report.failure) {
+      return next(
+        new HttpError(500, `Import stopped at row ${report.failure.rows[0]}; send it again to finish`, {
+          code: "IMPORT_INCOMPLETE",
+          details: importProgressDetails(report),
+        })
+      );
+    }
+    if (!report.dryRun && !report.applied) {
+      return next(
+        new HttpError(422, `${report.summary.error} sweet(s) have errors; nothing was imported`, {
+          code: "IMPORT_INVALID",
+          details: importErrorDetails(report),
+        })
+      );
+    }
+    return res.status(200).json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,213 @@
+// src/routes/adminCategoryRoutes.js
+import express from "express";
+import Category from "../models/Category.js";
+import Sweet from "../models/Sweet.js";
+import Coupon from "../models/Coupon.js";
+import { protect } from "../middleware/authMiddleware.js";
+import { isAdmin } from "../middleware/adminMiddleware.js";
+import { validate } from "../middleware/validate.js";
+import { HttpError } from "../utils/errors.js";
+import { slugify, findCategory, descendantIds, FALLBACK_SLUG } from "../utils/categories.js";
+import { invalidateVocabulary } from "../utils/search.js";
+import {
+  adminListCategoriesSchema,
+  createCategorySchema,
+  updateCategorySchema,
+  deleteCategorySchema,
+} from "../validators/categoryValidators.js";
+
+const router = express.Router();
+
+// everything here is admin-only
+router.use(protect, isAdmin);
+
+/**
+ * Load :id (already validated) into req.category or answer 404.
+ */
+async function loadCategory(req, res, next) {
+  let category;
+  try {
+    category = await Category.findById(req.params.id);
+  } catch (error) {
+    return next(error);
+  }
+  if (!category) return next(new HttpError(404, "Category not found"));
+  req.category = category;
+  next();
+}
+
+/**
+ * Resolve a `parent` body value: "root" -> null, otherwise an existing
+ * category id.
+ */
+async function resolveParent(parent) {
+  if (parent === "root") return null;
+  const found = await Category.exists({ _id: parent });
+  if (!found) {
+    throw new HttpError(422, "Request validation failed", {
+      details: [{ path: "body.parent", message: "unknown category" }],
+    });
+  }
+  return found._id;
+}
+
+/**
+ * All categories (including inactive ones), flat, with sweet counts
+ * GET /api/admin/categories
+ */
+router.get("/", validate(adminListCategoriesSchema), async (req, res, next) => {
+  try {
+    const [categories, counts] = await Promise.all([
+      Category.find({}).sort({ order: 1, name: 1 }).lean(),
+      Sweet.aggregate([{ $group: { _id: "$category", count: { $sum: 1 } } }]),
+    ]);
+    const countByName = new Map(counts.map((c) => [c._id, c.count]));
+    return res.status(200).json(categories.map((c) => ({ ...c, sweetCount: countByName.get(c.name) || 0 })));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Create a category
+ * POST /api/admin/categories { name, slug?, parent?, order?, isActive? }
+ */
+router.post("/", validate(createCategorySchema), async (req, res, next) => {
+  try {
+    const { name, order, isActive } = req.body;
+    const slug = req.body.slug || slugify(name);
+    if (!slug) {
+      return next(
+        new HttpError(422, "Request validation failed", {
+          details: [{ path: "body.slug", message: "is required when the name has no letters or digits" }],
+        })
+      );
+    }
+    const parent = req.body.parent ? await resolveParent(req.body.parent) : null;
+
+    const category = await Category.create({ name, slug, parent, order, isActive });
+    return res.status(201).json({ message: "Category created", category });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Update a category. A new name is applied to its sweets and to coupons
+ * scoped to it as well.
+ * PATCH /api/admin/categories/:id { name?, slug?, parent?, order?, isActive? }
+ *
+ * `parent: "root"` makes it top-level.
+ */
+router.patch("/:id", validate(updateCategorySchema), loadCategory, async (req, res, next) => {
+  try {
+    const category = req.category;
+    const { name, slug, parent, order, isActive } = req.body;
+
+    if (category.slug === FALLBACK_SLUG && ((slug && slug !== FALLBACK_SLUG) || isActive === false)) {
+      return next(new HttpError(409, "The fallback category keeps its slug and stays active"));
+    }
+
+    if (parent !== undefined) {
+      const parentId = await resolveParent(parent);
+      if (parentId) {
+        const below = await descendantIds(category);
+        if (below.some((id) => id.equals(parentId))) {
+          return next(new HttpError(409, "A category can't be moved below itself", { code: "CATEGORY_CYCLE" }));
+        }
+      }
+      category.parent = parentId;
+    }
+    const oldName = category.name;
+    if (name !== undefined) category.name = name;
+    if (slug !== undefined) category.slug = slug;
+    if (order !== undefined) category.order = order;
+    if (isActive !== undefined) category.isActive = isActive;
+    await category.save();
+
+    let sweetsRenamed = 0;
+    let couponsRenamed = 0;
+    if (category.name !== oldName) {
+      const [sweets, coupons] = await Promise.all([
+        Sweet.updateMany({ category: oldName }, { $set: { category: category.name } }),
+        // coupon scopes name their categories
+        Coupon.updateMany(
+          { "scope.categories": oldName },
+          { $set: { "scope.categories.$[old]": category.name } },
+          { arrayFilters: [{ old: oldName }] }
+        ),
+      ]);
+      sweetsRenamed = sweets.modifiedCount;
+      couponsRenamed = coupons.modifiedCount;
+      invalidateVocabulary();
+    }
+    return res.status(200).json({ message: "Category updated", category, sweetsRenamed, couponsRenamed });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Delete a category
+ * DELETE /api/admin/categories/:id?reassignTo=<slug or name>
+ *
+ * Subcategories move up to the deleted category's parent. Sweets in it
+ * (archived ones included) must be moved with ?reassignTo=, otherwise the
+ * delete is refused with 409 CATEGORY_IN_USE.
+ *
+ * The category is removed before its sweets are counted or moved, so a
+ * sweet can't be added to it in between; if it turns out to be in use it is
+ * put back.
+ */
+router.delete("/:id", validate(deleteCategorySchema), loadCategory, async (req, res, next) => {
+  try {
+    const category = req.category;
+    if (category.slug === FALLBACK_SLUG) {
+      return next(new HttpError(409, "The fallback category can't be deleted"));
+    }
+
+    let target = null;
+    if (req.query.reassignTo) {
+      target = await findCategory(req.query.reassignTo);
+      if (!target || !target.isActive || target._id.equals(category._id)) {
+        return next(
+          new HttpError(422, "Request validation failed", {
+            details: [{ path: "query.reassignTo", message: "must be another active category" }],
+          })
+        );
+      }
+    }
+
+    const { deletedCount } = await Category.deleteOne({ _id: category._id });
+    if (!deletedCount) return next(new HttpError(404, "Category not found"));
+
+    let sweetsMoved = 0;
+    if (target) {
+      const result = await Sweet.updateMany({ category: category.name }, { $set: { category: target.name } });
+      sweetsMoved = result.modifiedCount;
+    } else {
+      const inUse = await Sweet.countDocuments({ category: category.name });
+      if (inUse) {
+        await Category.create(category.toObject());
+        return next(
+          new HttpError(409, `${inUse} sweet(s) are in this category; pass ?reassignTo= to move them`, {
+            code: "CATEGORY_IN_USE",
+            details: [{ path: "sweets", message: `${inUse} sweet(s)` }],
+          })
+        );
+      }
+    }
+    const children = await Category.updateMany({ parent: category._id }, { $set: { parent: category.parent } });
+    if (sweetsMoved) invalidateVocabulary();
+
+    return res.status(200).json({
+      message: "Category deleted",
+      sweetsMoved,
+      subcategoriesMoved: children.modifiedCount,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,154 @@
+// src/routes/adminCouponRoutes.js
+import express from "express";
+import Coupon from "../models/Coupon.js";
+import CouponUsage from "../models/CouponUsage.js";
+import Sweet from "../models/Sweet.js";
+import { protect } from "../middleware/authMiddleware.js";
+import { isAdmin } from "../middleware/adminMiddleware.js";
+import { validate } from "../middleware/validate.js";
+import { HttpError } from "../utils/errors.js";
+import { findCategory } from "../utils/categories.js";
+import {
+  listCouponsSchema,
+  couponIdSchema,
+  createCouponSchema,
+  updateCouponSchema,
+} from "../validators/couponValidators.js";
+
+const router = express.Router();
+
+// everything here is admin-only
+router.use(protect, isAdmin);
+
+const invalid = (path, message) => new HttpError(422, "Request validation failed", { details: [{ path, message }] });
+
+/**
+ * Turn a validated body into Coupon fields: ISO strings to Dates, scope
+ * categories to Category names, and check referenced sweets exist.
+ */
+async function couponFieldsFrom(body) {
+  const fields = { ...body };
+  delete fields.unset;
+
+  for (const key of ["startsAt", "endsAt"]) {
+    if (fields[key] === undefined) continue;
+    const date = new Date(fields[key]);
+    if (Number.isNaN(date.getTime())) throw invalid(`body.${key}`, "must be a valid date");
+    fields[key] = date;
+  }
+
+  if (fields.scope) {
+    const names = [];
+    for (const value of fields.scope.categories) {
+      const category = await findCategory(value);
+      if (!category) throw invalid("body.scope.categories", `unknown category: ${value}`);
+      names.push(category.name);
+    }
+    fields.scope = { ...fields.scope, categories: names };
+
+    const found = await Sweet.countDocuments({ _id: { $in: fields.scope.sweets } });
+    if (found !== new Set(fields.scope.sweets).size) throw invalid("body.scope.sweets", "unknown sweet");
+  }
+
+  if (fields.freeItem) {
+    const sweet = await Sweet.findById(fields.freeItem.sweet).select("variants._id");
+    if (!sweet) throw invalid("body.freeItem.sweet", "unknown sweet");
+    if (fields.freeItem.variant && !sweet.variants.id(fields.freeItem.variant)) {
+      throw invalid("body.freeItem.variant", "unknown variant");
+    }
+  }
+  return fields;
+}
+
+/**
+ * List coupons, newest first
+ * GET /api/admin/coupons?active=&page=&limit=
+ */
+router.get("/", validate(listCouponsSchema), async (req, res, next) => {
+  try {
+    const { active, page, limit } = req.query;
+    const filter = active === undefined ? {} : { isActive: active };
+
+    const [coupons, total] = await Promise.all([
+      Coupon.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Coupon.countDocuments(filter),
+    ]);
+    return res.status(200).json({ coupons, total, page, limit });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * One coupon with its number of distinct users
+ * GET /api/admin/coupons/:id
+ */
+router.get("/:id", validate(couponIdSchema), async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) return next(new HttpError(404, "Coupon not found"));
+    const users = await CouponUsage.countDocuments({ coupon: coupon._id, count: { $gt: 0 } });
+    return res.status(200).json({ coupon, users });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Create a coupon
+ * POST /api/admin/coupons { code, type, value?, freeItem?, scope?, minSubtotal?,
+ *   startsAt?, endsAt?, maxUses?, maxUsesPerUser?, description?, isActive? }
+ */
+router.post("/", validate(createCouponSchema), async (req, res, next) => {
+  try {
+    const fields = await couponFieldsFrom(req.body);
+    const coupon = await Coupon.create({ ...fields, createdBy: req.user._id });
+    return res.status(201).json({ message: "Coupon created", coupon });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Update a coupon; `unset: ["endsAt", ...]` clears dates and limits
+ * PATCH /api/admin/coupons/:id
+ */
+router.patch("/:id", validate(updateCouponSchema), async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) return next(new HttpError(404, "Coupon not found"));
+
+    const fields = await couponFieldsFrom(req.body);
+    for (const key of req.body.unset || []) fields[key] = null;
+    coupon.set(fields);
+    await coupon.save();
+    return res.status(200).json({ message: "Coupon updated", coupon });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Delete a coupon that was never used. Used coupons stay for the order
+ * history; deactivate them instead.
+ * DELETE /api/admin/coupons/:id
+ */
+router.delete("/:id", validate(couponIdSchema), async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findOneAndDelete({ _id: req.params.id, usedCount: 0 });
+    if (!coupon) {
+      const exists = await Coupon.exists({ _id: req.params.id });
+      if (!exists) return next(new HttpError(404, "Coupon not found"));
+      return next(new HttpError(409, "Coupon has been used; set isActive to false instead", { code: "COUPON_USED" }));
+    }
+    await CouponUsage.deleteMany({ coupon: coupon._id });
+    return res.status(200).json({ message: "Coupon deleted" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,148 @@
+// src/routes/adminInventoryRoutes.js
+import express from "express";
+import Sweet from "../models/Sweet.js";
+import StockMovement from "../models/StockMovement.js";
+import StockAlert from "../models/StockAlert.js";
+import { protect } from "../middleware/authMiddleware.js";
+import { isAdmin } from "../middleware/adminMiddleware.js";
+import { validate } from "../middleware/validate.js";
+import { HttpError } from "../utils/errors.js";
+import { adjustStock, stockFailure } from "../utils/inventory.js";
+import {
+  listAlertsSchema,
+  alertIdSchema,
+  movementsSchema,
+  adjustmentSchema,
+  reconcileSchema,
+} from "../validators/adminInventoryValidators.js";
+
+const router = express.Router();
+
+// everything here is admin-only
+router.use(protect, isAdmin);
+
+/**
+ * Low-stock alerts
+ * GET /api/admin/alerts?status=active|open|acknowledged|resolved|all
+ */
+router.get("/alerts", validate(listAlertsSchema), async (req, res, next) => {
+  try {
+    const { status } = req.query;
+    const filter = {};
+    if (status === "active") filter.status = { $in: ["open", "acknowledged"] };
+    else if (status !== "all") filter.status = status;
+
+    const alerts = await StockAlert.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(500)
+      .populate("sweet", "name stock lowStockThreshold");
+    return res.status(200).json(alerts);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Acknowledge an alert — it stays active until stock recovers
+ * POST /api/admin/alerts/:id/acknowledge
+ */
+router.post("/alerts/:id/acknowledge", validate(alertIdSchema), async (req, res, next) => {
+  try {
+    const alert = await StockAlert.findOneAndUpdate(
+      { _id: req.params.id, status: "open" },
+      { $set: { status: "acknowledged", acknowledgedBy: req.user._id } },
+      { new: true }
+    );
+    if (!alert) return next(new HttpError(404, "Open alert not found"));
+    return res.status(200).json({ message: "Alert acknowledged", alert });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Stock movement history of a sweet, newest first
+ * GET /api/admin/sweets/:id/stock-movements?page=&limit=
+ */
+router.get("/sweets/:id/stock-movements", validate(movementsSchema), async (req, res, next) => {
+  try {
+    const { page, limit } = req.query;
+    const sweet = await Sweet.findById(req.params.id).select("name stock lowStockThreshold");
+    if (!sweet) return next(new HttpError(404, "Sweet not found"));
+
+    const [movements, total] = await Promise.all([
+      StockMovement.find({ sweet: sweet._id })
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("actor", "username email"),
+      StockMovement.countDocuments({ sweet: sweet._id }),
+    ]);
+    return res.status(200).json({ sweet, movements, total, page, limit });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Manual stock correction, recorded in the ledger with a mandatory note
+ * POST /api/admin/sweets/:id/stock-adjustments { delta, note, variant? }
+ */
+router.post("/sweets/:id/stock-adjustments", validate(adjustmentSchema), async (req, res, next) => {
+  try {
+    const { delta, note, variant = null } = req.body;
+    if (delta === 0) return next(new HttpError(422, "delta must not be 0"));
+
+    const sweet = await adjustStock(req.params.id, delta, { variant, reason: "adjustment", actor: req.user._id, note });
+    if (!sweet) {
+      const err = await stockFailure(req.params.id, { variant });
+      if (err.code !== "INSUFFICIENT_STOCK") return next(err);
+      return next(new HttpError(409, "Adjustment would make stock negative", { code: "INSUFFICIENT_STOCK" }));
+    }
+    return res.status(200).json({ message: "Stock adjusted", sweet });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Sweets whose stock doesn't match the sum of their ledger entries, and
+ * variants whose stock doesn't match their own entries.
+ * Sweets created before the ledger existed show up until an adjustment
+ * records their opening balance.
+ * GET /api/admin/inventory/reconcile
+ */
+router.get("/inventory/reconcile", validate(reconcileSchema), async (req, res, next) => {
+  try {
+    const [sweets, sums, variantSums] = await Promise.all([
+      Sweet.find({}).select("name stock variants._id variants.sku variants.stock").lean(),
+      StockMovement.aggregate([{ $group: { _id: "$sweet", ledger: { $sum: "$delta" } } }]),
+      StockMovement.aggregate([
+        { $match: { variant: { $ne: null } } },
+        { $group: { _id: "$variant", ledger: { $sum: "$delta" } } },
+      ]),
+    ]);
+    const ledgerById = new Map(sums.map((s) => [s._id.toString(), s.ledger]));
+    const ledgerByVariant = new Map(variantSums.map((s) => [s._id.toString(), s.ledger]));
+
+    const mismatches = sweets
+      .map((s) => ({ sweet: s._id, name: s.name, stock: s.stock, ledger: ledgerById.get(s._id.toString()) || 0 }))
+      .filter((r) => r.stock !== r.ledger);
+    const variantMismatches = sweets
+      .flatMap((s) =>
+        (s.variants || []).map((v) => ({
+          sweet: s._id,
+          variant: v._id,
+          sku: v.sku,
+          stock: v.stock,
+          ledger: ledgerByVariant.get(v._id.toString()) || 0,
+        }))
+      )
+      .filter((r) => r.stock !== r.ledger);
+    return res.status(200).json({ checked: sweets.length, mismatches, variantMismatches });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
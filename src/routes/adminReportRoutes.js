@@ -0,0 +1,62 @@
+// src/routes/adminReportRoutes.js
+import express from "express";
+import { protect } from "../middleware/authMiddleware.js";
+import { isAdmin } from "../middleware/adminMiddleware.js";
+import { validate } from "../middleware/validate.js";
+import { HttpError } from "../utils/errors.js";
+import { salesReport, parseReportDate } from "../utils/analytics.js";
+import { toCsv } from "../utils/csv.js";
+import { salesReportSchema } from "../validators/reportValidators.js";
+
+const router = express.Router();
+
+// everything here is admin-only
+router.use(protect, isAdmin);
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 366;
+
+const COLUMNS = {
+  day: ["date", "transactions", "units", "gross", "revenue"],
+  sweet: ["sweet", "name", "transactions", "units", "gross", "revenue"],
+  category: ["category", "transactions", "units", "gross", "revenue"],
+};
+
+/**
+ * Sales report: units and revenue (gross, and net of discounts) by day,
+ * sweet or category. Cancelled orders are excluded.
+ * GET /api/admin/reports/sales?from=&to=&groupBy=day|sweet|category&format=json|csv
+ *
+ * `from` defaults to 30 days before `to`, `to` to now; a bare date for `to`
+ * includes that whole day. Dates and times without an offset are read in
+ * REPORT_TIMEZONE, like the day grouping. At most a year per request.
+ */
+router.get("/sales", validate(salesReportSchema), async (req, res, next) => {
+  try {
+    const { groupBy, format } = req.query;
+    const to = req.query.to ? parseReportDate(req.query.to, { nextDay: req.query.to.length === 10 }) : new Date();
+    const from = req.query.from ? parseReportDate(req.query.from) : new Date(to.getTime() - 30 * DAY);
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+      return next(new HttpError(422, "from and to must be valid dates"));
+    }
+    if (from >= to) return next(new HttpError(422, "from must be before to"));
+    if (to - from > MAX_RANGE_DAYS * DAY) {
+      return next(new HttpError(422, `The range can be at most ${MAX_RANGE_DAYS} days`));
+    }
+
+    const report = await salesReport({ from, to, groupBy });
+
+    if (format === "csv") {
+      const name = `sales-by-${groupBy}-${from.toISOString().slice(0, 10)}-${to.toISOString().slice(0, 10)}.csv`;
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${name}"`);
+      return res.status(200).send(toCsv(report.rows, COLUMNS[groupBy]));
+    }
+    return res.status(200).json({ from, to, groupBy, ...report });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
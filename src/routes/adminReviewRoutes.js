@@ -0,0 +1,96 @@
+// src/routes/adminReviewRoutes.js
+import express from "express";
+import Review from "../models/Review.js";
+import { protect } from "../middleware/authMiddleware.js";
+import { isAdmin } from "../middleware/adminMiddleware.js";
+import { validate } from "../middleware/validate.js";
+import { HttpError } from "../utils/errors.js";
+import { refreshSweetRating } from "../utils/reviews.js";
+import { adminListReviewsSchema, reviewIdSchema, hideReviewSchema } from "../validators/reviewValidators.js";
+
+const router = express.Router();
+
+// everything here is admin-only
+router.use(protect, isAdmin);
+
+/**
+ * Reviews for moderation, newest first
+ * GET /api/admin/reviews?status=visible|hidden|all&sweet=&user=&page=&limit=
+ */
+router.get("/", validate(adminListReviewsSchema), async (req, res, next) => {
+  try {
+    const { status, sweet, user, page, limit } = req.query;
+    const filter = {};
+    if (status !== "all") filter.status = status;
+    if (sweet) filter.sweet = sweet;
+    if (user) filter.user = user;
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("user", "username email")
+        .populate("sweet", "name"),
+      Review.countDocuments(filter),
+    ]);
+    return res.status(200).json({ reviews, total, page, limit });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Hide a review — it stops counting towards the sweet's rating
+ * POST /api/admin/reviews/:id/hide { reason? }
+ */
+router.post("/:id/hide", validate(hideReviewSchema), async (req, res, next) => {
+  try {
+    const review = await Review.findByIdAndUpdate(
+      req.params.id,
+      { $set: { status: "hidden", hiddenBy: req.user._id, hiddenReason: req.body.reason } },
+      { new: true }
+    );
+    if (!review) return next(new HttpError(404, "Review not found"));
+    const rating = await refreshSweetRating(review.sweet);
+    return res.status(200).json({ message: "Review hidden", review, rating });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Make a hidden review visible again
+ * POST /api/admin/reviews/:id/unhide
+ */
+router.post("/:id/unhide", validate(reviewIdSchema), async (req, res, next) => {
+  try {
+    const review = await Review.findByIdAndUpdate(
+      req.params.id,
+      { $set: { status: "visible", hiddenBy: null }, $unset: { hiddenReason: 1 } },
+      { new: true }
+    );
+    if (!review) return next(new HttpError(404, "Review not found"));
+    const rating = await refreshSweetRating(review.sweet);
+    return res.status(200).json({ message: "Review visible", review, rating });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Delete a review
+ * DELETE /api/admin/reviews/:id
+ */
+router.delete("/:id", validate(reviewIdSchema), async (req, res, next) => {
+  try {
+    const review = await Review.findByIdAndDelete(req.params.id);
+    if (!review) return next(new HttpError(404, "Review not found"));
+    const rating = await refreshSweetRating(review.sweet);
+    return res.status(200).json({ message: "Review deleted", rating });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,89 @@
+// src/routes/adminShippingRoutes.js
+import express from "express";
+import ShippingMethod from "../models/ShippingMethod.js";
+import { protect } from "../middleware/authMiddleware.js";
+import { isAdmin } from "../middleware/adminMiddleware.js";
+import { validate } from "../middleware/validate.js";
+import { HttpError } from "../utils/errors.js";
+import {
+  adminListMethodsSchema,
+  createMethodSchema,
+  updateMethodSchema,
+  methodIdSchema,
+} from "../validators/shippingValidators.js";
+
+const router = express.Router();
+
+// everything here is admin-only
+router.use(protect, isAdmin);
+
+const invalid = (path, message) => new HttpError(422, "Request validation failed", { details: [{ path, message }] });
+
+function checkZones(zones = []) {
+  zones.forEach((z, i) => {
+    if (z.minDays !== undefined && z.maxDays !== undefined && z.maxDays < z.minDays) {
+      throw invalid(`body.zones[${i}].maxDays`, "must be >= minDays");
+    }
+  });
+}
+
+/**
+ * All shipping methods, inactive ones included, with their zone rules
+ * GET /api/admin/shipping-methods
+ */
+router.get("/", validate(adminListMethodsSchema), async (req, res, next) => {
+  try {
+    const methods = await ShippingMethod.find().sort({ order: 1, name: 1 });
+    return res.status(200).json({ methods });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Create a shipping method
+ * POST /api/admin/shipping-methods { code, name, description?, requiresAddress?, zones?, order?, isActive? }
+ */
+router.post("/", validate(createMethodSchema), async (req, res, next) => {
+  try {
+    checkZones(req.body.zones);
+    const method = await ShippingMethod.create(req.body);
+    return res.status(201).json({ message: "Shipping method created", method });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Update a shipping method; `zones`, when sent, replaces the whole list.
+ * The code is fixed: orders record methods by code.
+ * PATCH /api/admin/shipping-methods/:id
+ */
+router.patch("/:id", validate(updateMethodSchema), async (req, res, next) => {
+  try {
+    checkZones(req.body.zones);
+    const method = await ShippingMethod.findById(req.params.id);
+    if (!method) return next(new HttpError(404, "Shipping method not found"));
+    method.set(req.body);
+    await method.save();
+    return res.status(200).json({ message: "Shipping method updated", method });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Delete a shipping method. Past orders keep their code, address and fee.
+ * DELETE /api/admin/shipping-methods/:id
+ */
+router.delete("/:id", validate(methodIdSchema), async (req, res, next) => {
+  try {
+    const method = await ShippingMethod.findByIdAndDelete(req.params.id);
+    if (!method) return next(new HttpError(404, "Shipping method not found"));
+    return res.status(200).json({ message: "Shipping method deleted" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
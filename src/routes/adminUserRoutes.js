@@ -0,0 +1,253 @@
+// src/routes/adminUserRoutes.js
+import express from "express";
+import User from "../models/User.js";
+import Cart from "../models/Cart.js";
+import Session from "../models/Session.js";
+import WishlistItem from "../models/WishlistItem.js";
+import StockSubscription from "../models/StockSubscription.js";
+import AuditLog from "../models/AuditLog.js";
+import { protect } from "../middleware/authMiddleware.js";
+import { isAdmin } from "../middleware/adminMiddleware.js";
+import { validate } from "../middleware/validate.js";
+import { HttpError } from "../utils/errors.js";
+import { escapeRegex } from "../utils/regex.js";
+import { revokeAllSessions } from "../utils/session.js";
+import {
+  listUsersSchema,
+  auditLogSchema,
+  userIdSchema,
+  disableUserSchema,
+} from "../validators/adminUserValidators.js";
+
+const router = express.Router();
+
+// everything here is admin-only
+router.use(protect, isAdmin);
+
+const safeUser = (u) => ({
+  id: u._id.toString(),
+  username: u.username,
+  email: u.email,
+  role: u.role,
+  disabled: !!u.disabled,
+  disabledAt: u.disabledAt,
+  failedLoginCount: u.failedLoginCount || 0,
+  lockedUntil: u.lockedUntil && u.lockedUntil > new Date() ? u.lockedUntil : null,
+  createdAt: u.createdAt,
+});
+
+const audit = (req, action, target, details = {}) =>
+  AuditLog.create({ actor: req.user._id, action, targetUser: target._id, details });
+
+/**
+ * Apply `change` (a $set) to `target`, refusing with 409 `message` when it
+ * would leave no admin who can still log in. Without transactions the
+ * count can't be checked atomically with the write, so the write goes
+ * first and is undone if no active admin remains: of two concurrent
+ * requests removing the last two admins, at most one succeeds.
+ */
+async function updateUnlessLastAdmin(target, change, message) {
+  const hadAccess = target.role === "admin" && !target.disabled;
+  const previous = Object.fromEntries(Object.keys(change).map((key) => [key, target.get(key) ?? null]));
+
+  await User.updateOne({ _id: target._id }, { $set: change });
+  if (hadAccess && !(await User.exists({ role: "admin", disabled: { $ne: true } }))) {
+    await User.updateOne({ _id: target._id }, { $set: previous });
+    throw new HttpError(409, message);
+  }
+  target.set(change);
+}
+
+/**
+ * Load :id (already validated) into req.targetUser or answer 404.
+ */
+async function loadTarget(req, res, next) {
+  let target;
+  try {
+    target = await User.findById(req.params.id);
+  } catch (error) {
+    return next(error);
+  }
+  if (!target) return next(new HttpError(404, "User not found"));
+  req.targetUser = target;
+  next();
+}
+
+/**
+ * List / search users
+ * GET /api/admin/users?q=&role=&disabled=&locked=&page=&limit=
+ */
+router.get("/", validate(listUsersSchema), async (req, res, next) => {
+  try {
+    const { q, role, disabled, locked, page, limit } = req.query;
+
+    const filter = {};
+    if (q) {
+      const rx = new RegExp(escapeRegex(q), "i");
+      filter.$or = [{ username: rx }, { email: rx }];
+    }
+    if (role) filter.role = role;
+    if (disabled !== undefined) filter.disabled = disabled ? true : { $ne: true };
+    if (locked !== undefined) filter.lockedUntil = locked ? { $gt: new Date() } : { $not: { $gt: new Date() } };
+
+    const [users, total] = await Promise.all([
+      User.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      User.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({ users: users.map(safeUser), total, page, limit });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Audit trail of admin changes
+ * GET /api/admin/users/audit?user=&limit=
+ */
+router.get("/audit", validate(auditLogSchema), async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.user) filter.targetUser = req.query.user;
+    const { limit } = req.query;
+    const entries = await AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate("actor", "username email");
+    return res.status(200).json(entries);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/:id", validate(userIdSchema), loadTarget, (req, res) => {
+  res.status(200).json(safeUser(req.targetUser));
+});
+
+/**
+ * Promote to admin
+ * POST /api/admin/users/:id/promote
+ */
+router.post("/:id/promote", validate(userIdSchema), loadTarget, async (req, res, next) => {
+  try {
+    const target = req.targetUser;
+    if (target.role === "admin") return res.status(200).json({ message: "User is already an admin", user: safeUser(target) });
+
+    target.role = "admin";
+    await target.save();
+    await audit(req, "user.promote", target, { from: "user", to: "admin" });
+    return res.status(200).json({ message: "User promoted to admin", user: safeUser(target) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Demote to plain user — refused for the last active admin
+ * POST /api/admin/users/:id/demote
+ */
+router.post("/:id/demote", validate(userIdSchema), loadTarget, async (req, res, next) => {
+  try {
+    const target = req.targetUser;
+    if (target.role !== "admin") return res.status(200).json({ message: "User is not an admin", user: safeUser(target) });
+    await updateUnlessLastAdmin(target, { role: "user" }, "Cannot demote the last admin");
+    // existing access tokens still carry role=admin — make them log in again
+    await revokeAllSessions(target._id);
+    await audit(req, "user.demote", target, { from: "admin", to: "user" });
+    return res.status(200).json({ message: "User demoted", user: safeUser(target) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Disable an account and end its sessions
+ * POST /api/admin/users/:id/disable { reason? }
+ */
+router.post("/:id/disable", validate(disableUserSchema), loadTarget, async (req, res, next) => {
+  try {
+    const target = req.targetUser;
+    if (target._id.equals(req.user._id)) {
+      return next(new HttpError(409, "You cannot disable your own account"));
+    }
+    if (!target.disabled) {
+      await updateUnlessLastAdmin(target, { disabled: true, disabledAt: new Date() }, "Cannot disable the last admin");
+      await audit(req, "user.disable", target, { reason: req.body.reason });
+    }
+    await revokeAllSessions(target._id);
+    return res.status(200).json({ message: "User disabled", user: safeUser(target) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Re-enable a disabled account
+ * POST /api/admin/users/:id/enable
+ */
+router.post("/:id/enable", validate(userIdSchema), loadTarget, async (req, res, next) => {
+  try {
+    const target = req.targetUser;
+    if (target.disabled) {
+      target.disabled = false;
+      target.disabledAt = null;
+      await target.save();
+      await audit(req, "user.enable", target);
+    }
+    return res.status(200).json({ message: "User enabled", user: safeUser(target) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Lift a login lockout and forget past failures
+ * POST /api/admin/users/:id/unlock
+ */
+router.post("/:id/unlock", validate(userIdSchema), loadTarget, async (req, res, next) => {
+  try {
+    const target = req.targetUser;
+    if (target.failedLoginCount || target.lockCount || target.lockedUntil) {
+      const wasLocked = !!(target.lockedUntil && target.lockedUntil > new Date());
+      target.failedLoginCount = 0;
+      target.lockCount = 0;
+      target.lockedUntil = null;
+      await target.save();
+      await audit(req, "user.unlock", target, { wasLocked });
+    }
+    return res.status(200).json({ message: "User unlocked", user: safeUser(target) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Delete an account with its cart, wishlist and sessions (orders are kept)
+ * DELETE /api/admin/users/:id
+ */
+router.delete("/:id", validate(userIdSchema), loadTarget, async (req, res, next) => {
+  try {
+    const target = req.targetUser;
+    if (target._id.equals(req.user._id)) {
+      return next(new HttpError(409, "You cannot delete your own account"));
+    }
+    // disabled first, so a concurrent demote/disable/delete can't also pass the check
+    if (target.role === "admin" && !target.disabled) {
+      await updateUnlessLastAdmin(target, { disabled: true, disabledAt: new Date() }, "Cannot delete the last admin");
+    }
+
+    await Promise.all([
+      Cart.deleteOne({ user: target._id }),
+      Session.deleteMany({ user: target._id }),
+      WishlistItem.deleteMany({ user: target._id }),
+      StockSubscription.deleteMany({ user: target._id }),
+    ]);
+    await target.deleteOne();
+    await audit(req, "user.delete", target, { email: target.email, role: target.role });
+    return res.status(200).json({ message: "User deleted" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
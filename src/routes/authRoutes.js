@@ -1,35 +1,66 @@
 // backend/src/routes/authRoutes.js
 import express from "express";
-import jwt from "jsonwebtoken";
+import crypto from "crypto";
 import User from "../models/User.js";
+import { protect } from "../middleware/authMiddleware.js";
+import { validate } from "../middleware/validate.js";
+import { HttpError } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+import { config } from "../config.js";
+import { mergeGuestCart } from "../utils/guestCart.js";
+import {
+  createSession,
+  rotateSession,
+  revokeByRefreshToken,
+  revokeAllSessions,
+} from "../utils/session.js";
+import { sendMail } from "../utils/mailer.js";
+import { lockRemainingMs, recordLoginFailure, clearLoginFailures } from "../utils/loginLockout.js";
+import { loginLimiter, registerLimiter, passwordResetLimiter } from "../middleware/rateLimit.js";
+import {
+  registerSchema,
+  loginSchema,
+  refreshTokenSchema,
+  emptySchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  changePasswordSchema,
+} from "../validators/authValidators.js";
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (id, role) => {
-  return jwt.sign({ id: id.toString(), role }, process.env.JWT_SECRET, {
-    expiresIn: "7d",
-  });
+const RESET_TOKEN_TTL_MS = config.auth.passwordResetTtlMinutes * 60 * 1000;
+const hashResetToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// Merge a guest cart (cartToken in body or X-Cart-Token header) into the user's cart.
+// A failed merge must never fail the login itself.
+const mergeCartFromRequest = async (req, userId) => {
+  const cartToken = req.body.cartToken || req.headers["x-cart-token"];
+  if (!cartToken) return null;
+  try {
+    return await mergeGuestCart(userId, cartToken);
+  } catch (error) {
+    (req.log || logger).error("Guest cart merge failed", { user: String(userId), err: error });
+    return null;
+  }
 };
 
 // Register Route
-router.post("/register", async (req, res) => {
+router.post("/register", registerLimiter, validate(registerSchema), async (req, res, next) => {
   try {
-    const { username, email, password, role } = req.body;
-
-    // Basic validation
-    if (!username || !email || !password) {
-      return res.status(400).json({ message: "username, email and password are required" });
-    }
+    // role is deliberately not read from the body — admins are promoted via /api/admin/users
+    const { username, email, password } = req.body;
 
     // Check if user exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
-      return res.status(409).json({ message: "User already exists" });
+      return next(new HttpError(409, "User already exists", { code: "USER_EXISTS" }));
     }
 
     // Create new user (password will be hashed by model pre-save)
-    const user = await User.create({ username, email, password, role });
+    const user = await User.create({ username, email, password });
+    const cartMerge = await mergeCartFromRequest(req, user._id);
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       message: "User registered successfully",
@@ -39,34 +70,56 @@ router.post("/register", async (req, res) => {
         email: user.email,
         role: user.role,
       },
-      token: generateToken(user._id, user.role),
+      token,
+      refreshToken,
+      cartMerge,
     });
   } catch (error) {
-    console.error("❌ Register Error:", error);
-    res.status(500).json({ message: "Server error" });
+    next(error);
   }
 });
 
-// Login Route
-router.post("/login", async (req, res) => {
+const lockedError = (ms) => {
+  const retryAfter = Math.ceil(ms / 1000);
+  return new HttpError(423, `Too many failed logins; account locked for ${retryAfter}s`, {
+    code: "ACCOUNT_LOCKED",
+    details: [{ retryAfter }],
+  });
+};
+
+// Login Route — rate limited per IP, and accounts lock after repeated failures
+router.post("/login", loginLimiter, validate(loginSchema), async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
-    // basic validation
-    if (!email || !password) {
-      return res.status(400).json({ message: "Email and password required" });
-    }
-
     // IMPORTANT: select password explicitly because User schema uses select: false
     const user = await User.findOne({ email }).select("+password");
     if (!user) {
-      return res.status(401).json({ message: "Invalid email or password" });
+      return next(new HttpError(401, "Invalid email or password", { code: "INVALID_CREDENTIALS" }));
+    }
+
+    // checked before the password so a locked account can't be probed
+    const lockedMs = lockRemainingMs(user);
+    if (lockedMs > 0) {
+      res.set("Retry-After", String(Math.ceil(lockedMs / 1000)));
+      return next(lockedError(lockedMs));
     }
 
     // matchPassword is defined on the model and compares plain -> hashed
     const isMatch = await user.matchPassword(password);
     if (!isMatch) {
-      return res.status(401).json({ message: "Invalid email or password" });
+      const lockedUntil = await recordLoginFailure(user._id);
+      if (lockedUntil) {
+        const ms = lockedUntil.getTime() - Date.now();
+        res.set("Retry-After", String(Math.ceil(ms / 1000)));
+        return next(lockedError(ms));
+      }
+      return next(new HttpError(401, "Invalid email or password", { code: "INVALID_CREDENTIALS" }));
+    }
+    await clearLoginFailures(user._id);
+
+    if (user.disabled) {
+      return next(new HttpError(403, "Account disabled", { code: "ACCOUNT_DISABLED" }));
     }
 
     // Build safe user object (omit password)
@@ -77,14 +130,137 @@ router.post("/login", async (req, res) => {
       role: user.role,
     };
 
+    const cartMerge = await mergeCartFromRequest(req, user._id);
+    const { token, refreshToken } = await createSession(user, req);
+
     res.status(200).json({
       message: "Login successful",
       user: safeUser,
-      token: generateToken(user._id, user.role),
+      token,
+      refreshToken,
+      cartMerge,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Refresh Route — exchanges a refresh token for a new (rotated) token pair
+router.post("/refresh", validate(refreshTokenSchema), async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    const rotated = await rotateSession(refreshToken, (id) =>
+      User.findOne({ _id: id, disabled: { $ne: true } })
+    );
+    if (!rotated) {
+      return next(new HttpError(401, "Invalid or expired refresh token", { code: "INVALID_TOKEN" }));
+    }
+
+    res.status(200).json({
+      message: "Token refreshed",
+      token: rotated.token,
+      refreshToken: rotated.refreshToken,
     });
   } catch (error) {
-    console.error("❌ Login Error:", error);
-    res.status(500).json({ message: "Server error" });
+    next(error);
+  }
+});
+
+// Logout Route — ends the session of the given refresh token. Works without
+// a valid access token so clients can always log out.
+router.post("/logout", validate(refreshTokenSchema), async (req, res, next) => {
+  try {
+    await revokeByRefreshToken(req.body.refreshToken);
+    res.status(200).json({ message: "Logged out" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Logout All Route — revokes every session of the current user
+router.post("/logout-all", protect, validate(emptySchema), async (req, res, next) => {
+  try {
+    const revoked = await revokeAllSessions(req.user._id);
+    res.status(200).json({ message: "Logged out of all sessions", revoked });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Forgot Password Route — always answers the same way so it can't be used to
+// probe which emails are registered
+router.post("/forgot-password", passwordResetLimiter, validate(forgotPasswordSchema), async (req, res, next) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+    if (user && !user.disabled) {
+      const token = crypto.randomBytes(32).toString("base64url");
+      user.passwordResetTokenHash = hashResetToken(token);
+      user.passwordResetExpires = new Date(Date.now() + RESET_TOKEN_TTL_MS);
+      await user.save();
+
+      const minutes = config.auth.passwordResetTtlMinutes;
+      const expiry = minutes % 60 ? `${minutes} minutes` : `${minutes / 60} hour${minutes === 60 ? "" : "s"}`;
+      await sendMail({
+        to: user.email,
+        subject: "Reset your Sweetify password",
+        text:
+          `Hi ${user.username},\n\nUse the link below to choose a new password. ` +
+          `It expires in ${expiry} and can be used once.\n\n${config.clientUrl}/reset-password?token=${token}\n\n` +
+          "If you didn't ask for this, you can ignore this email.",
+      });
+    }
+
+    res.status(200).json({ message: "If that email is registered, a reset link has been sent" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reset Password Route — consumes the emailed token and ends all sessions
+router.post("/reset-password", validate(resetPasswordSchema), async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    // Claim the token atomically so it can only ever be used once
+    const claimed = await User.findOneAndUpdate(
+      { passwordResetTokenHash: hashResetToken(token), passwordResetExpires: { $gt: new Date() } },
+      { $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 } }
+    );
+    if (!claimed) {
+      return next(new HttpError(400, "Invalid or expired reset token", { code: "INVALID_TOKEN" }));
+    }
+
+    const user = await User.findById(claimed._id);
+    user.password = password; // hashed by model pre-save
+    await user.save();
+    await revokeAllSessions(user._id);
+
+    res.status(200).json({ message: "Password has been reset, please log in" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Change Password Route — requires the current password; other sessions are
+// logged out and the caller gets a fresh token pair
+router.put("/password", protect, validate(changePasswordSchema), async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user._id).select("+password");
+    const isMatch = await user.matchPassword(currentPassword);
+    if (!isMatch) {
+      return next(new HttpError(401, "Current password is incorrect"));
+    }
+
+    user.password = newPassword; // hashed by model pre-save
+    await user.save();
+    await revokeAllSessions(user._id);
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.status(200).json({ message: "Password updated", token, refreshToken });
+  } catch (error) {
+    next(error);
   }
 });
 
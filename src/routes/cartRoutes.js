@@ -2,30 +2,396 @@
 import express from 'express';
 import mongoose from 'mongoose';
 import Cart from '../models/Cart.js';
+import Order from '../models/Order.js';
+import Sweet, { ACTIVE_FILTER } from '../models/Sweet.js';
 import { protect } from '../middleware/authMiddleware.js';
+import { cartOwner } from '../middleware/cartMiddleware.js';
+import { issueGuestCart } from '../utils/guestCart.js';
+import { validate } from '../middleware/validate.js';
+import { checkoutLimiter } from '../middleware/rateLimit.js';
+import { HttpError } from '../utils/errors.js';
+import { reserveStock, releaseStock, roundMoney } from '../utils/inventory.js';
+import { findCouponByCode, evaluateCoupon, claimCoupon, releaseCoupon } from '../utils/coupons.js';
+import { buildCartView } from '../utils/cartView.js';
+import { recordOrderSales } from '../utils/sales.js';
+import { ordersPlaced } from '../utils/metrics.js';
+import ShippingMethod from '../models/ShippingMethod.js';
+import { quoteShipping, pickAddress, addressSnapshot, shipmentOf } from '../utils/shipping.js';
+import {
+  cartItemsSchema,
+  addItemSchema,
+  updateItemSchema,
+  removeItemSchema,
+  applyCouponSchema,
+  emptySchema,
+  checkoutSchema,
+} from '../validators/cartValidators.js';
 const router = express.Router();
 
+// a checkout that died without releasing its claim stops blocking the cart after this
+const CHECKOUT_CLAIM_TTL_MS = 5 * 60 * 1000;
+
+function coerceItemId(idStr) {
+  if (!idStr) throw new HttpError(422, "Missing item id in payload");
+  if (!/^[0-9a-fA-F]{24}$/.test(String(idStr))) throw new HttpError(422, "Invalid item id: " + String(idStr));
+  return new mongoose.Types.ObjectId(String(idStr));
+}
+
+function coerceQuantity(raw, fallback = 1) {
+  if (raw === undefined || raw === null || raw === '') return fallback;
+  const qty = Number(raw);
+  if (!Number.isInteger(qty) || qty <= 0) throw new HttpError(422, "Quantity must be a positive integer: " + String(raw));
+  return qty;
+}
+
+function coerceVariantId(idStr) {
+  return idStr ? coerceItemId(idStr) : null;
+}
+
+// a cart line is identified by sweet + variant
+function isLine(it, item, variant) {
+  return it.item.equals(item) && (variant ? Boolean(it.variant && it.variant.equals(variant)) : !it.variant);
+}
+
+/**
+ * Normalise an incoming items payload. Rejects bad ids and non-positive or
+ * non-integer quantities; duplicate sweet/variant pairs are merged by
+ * summing quantities.
+ */
 function coerceCartItems(rawItems = []) {
-  return rawItems.map(it => {
-    const idStr = it.item || it.itemId || it._id;
-    if (!idStr) throw new Error("Missing item id in payload");
-    if (!/^[0-9a-fA-F]{24}$/.test(String(idStr))) throw new Error("Invalid item id: " + String(idStr));
-    return { item: new mongoose.Types.ObjectId(String(idStr)), quantity: Number(it.quantity || 1) };
-  });
+  const merged = new Map();
+  for (const it of rawItems) {
+    const item = coerceItemId(it.item || it.itemId || it._id);
+    const variant = coerceVariantId(it.variant);
+    const quantity = coerceQuantity(it.quantity);
+    const key = `${item}:${variant || ''}`;
+    if (merged.has(key)) merged.get(key).quantity += quantity;
+    else merged.set(key, { item, variant, quantity });
+  }
+  return [...merged.values()];
 }
 
-router.post('/sync', protect, async (req, res) => {
+async function findOrCreateCart(cartFilter) {
+  const cart = await Cart.findOne(cartFilter);
+  return cart || new Cart({ ...cartFilter, items: [] });
+}
+
+/**
+ * Start a guest cart (Public)
+ * POST /api/cart/guest { items? }
+ *
+ * Returns an opaque `cartToken`; send it back as `X-Cart-Token` on the cart
+ * routes, and as `cartToken` on login/register to merge it into the account.
+ */
+router.post('/guest', validate(cartItemsSchema), async (req, res, next) => {
+  try {
+    const items = coerceCartItems(req.body.items);
+    const { token, cart } = await issueGuestCart(items);
+    res.status(201).json({ message: 'Guest cart created', cartToken: token, cart: await buildCartView(cart) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Get cart with prices and totals (Protected)
+ * GET /api/cart
+ */
+router.get('/', validate(emptySchema), cartOwner, async (req, res, next) => {
+  try {
+    const cart = await Cart.findOne(req.cartFilter);
+    res.json(await buildCartView(cart));
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/sync', validate(cartItemsSchema), cartOwner, async (req, res, next) => {
   try {
-    const incoming = Array.isArray(req.body.items) ? req.body.items : [];
-    const itemsForCart = coerceCartItems(incoming);
-    let cart = await Cart.findOne({ user: req.user._id });
-    if (!cart) cart = new Cart({ user: req.user._id, items: itemsForCart });
-    else cart.items = itemsForCart;
+    const itemsForCart = coerceCartItems(req.body.items);
+    const cart = await findOrCreateCart(req.cartFilter);
+    cart.items = itemsForCart;
     await cart.save();
     res.json({ message: 'Cart synced', cart });
   } catch (err) {
-    console.error('POST /api/cart/sync error:', err);
-    res.status(400).json({ message: err.message || 'Sync failed' });
+    next(err);
+  }
+});
+
+/**
+ * Add an item, or increase its quantity if already present (Protected)
+ * POST /api/cart/items { item, variant?, quantity? }
+ *
+ * `variant` is required for sweets with variants.
+ */
+router.post('/items', validate(addItemSchema), cartOwner, async (req, res, next) => {
+  try {
+    const item = coerceItemId(req.body.item || req.body.itemId);
+    const variant = coerceVariantId(req.body.variant);
+    const { quantity } = req.body;
+    const sweet = await Sweet.findOne({ _id: item, ...ACTIVE_FILTER }).select('name variants._id');
+    if (!sweet) return next(new HttpError(404, 'Sweet not found'));
+    if (variant && !sweet.variants.id(variant)) {
+      return next(new HttpError(404, 'Variant not found', { code: 'VARIANT_NOT_FOUND' }));
+    }
+    if (!variant && sweet.variants.length) {
+      return next(new HttpError(400, `Choose a variant of ${sweet.name}`, { code: 'VARIANT_REQUIRED' }));
+    }
+
+    const cart = await findOrCreateCart(req.cartFilter);
+    const line = cart.items.find(it => isLine(it, item, variant));
+    if (line) line.quantity += quantity;
+    else cart.items.push({ item, variant, quantity });
+    await cart.save();
+
+    res.status(200).json({ message: 'Item added to cart', cart: await buildCartView(cart) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Set the quantity of a cart line (Protected)
+ * PATCH /api/cart/items/:sweetId { quantity, variant? }
+ */
+router.patch('/items/:sweetId', validate(updateItemSchema), cartOwner, async (req, res, next) => {
+  try {
+    const item = coerceItemId(req.params.sweetId);
+    const variant = coerceVariantId(req.body.variant);
+    const { quantity } = req.body;
+    const cart = await Cart.findOne(req.cartFilter);
+    const line = cart && cart.items.find(it => isLine(it, item, variant));
+    if (!line) return next(new HttpError(404, 'Item not in cart'));
+
+    line.quantity = quantity;
+    await cart.save();
+
+    res.status(200).json({ message: 'Cart updated', cart: await buildCartView(cart) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Remove a cart line (Protected)
+ * DELETE /api/cart/items/:sweetId?variant=
+ */
+router.delete('/items/:sweetId', validate(removeItemSchema), cartOwner, async (req, res, next) => {
+  try {
+    const item = coerceItemId(req.params.sweetId);
+    const variant = coerceVariantId(req.query.variant);
+    const cart = await Cart.findOne(req.cartFilter);
+    if (!cart || !cart.items.some(it => isLine(it, item, variant))) {
+      return next(new HttpError(404, 'Item not in cart'));
+    }
+
+    cart.items = cart.items.filter(it => !isLine(it, item, variant));
+    await cart.save();
+
+    res.status(200).json({ message: 'Item removed from cart', cart: await buildCartView(cart) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Apply a coupon code to the cart (Protected or guest)
+ * POST /api/cart/coupon { code }
+ *
+ * The code must apply to the cart as it is now (422 COUPON_NOT_APPLICABLE
+ * with the reason otherwise). It replaces any coupon already applied.
+ */
+router.post('/coupon', validate(applyCouponSchema), cartOwner, async (req, res, next) => {
+  try {
+    const coupon = await findCouponByCode(req.body.code);
+    if (!coupon) return next(new HttpError(404, 'Coupon not found', { code: 'COUPON_NOT_FOUND' }));
+
+    const cart = await findOrCreateCart(req.cartFilter);
+    cart.couponCode = coupon.code;
+    const view = await buildCartView(cart);
+    if (!view.coupon.valid) {
+      return next(new HttpError(422, view.coupon.reason, { code: 'COUPON_NOT_APPLICABLE' }));
+    }
+    await cart.save();
+
+    res.status(200).json({ message: 'Coupon applied', cart: view });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Remove the applied coupon (Protected or guest)
+ * DELETE /api/cart/coupon
+ */
+router.delete('/coupon', validate(emptySchema), cartOwner, async (req, res, next) => {
+  try {
+    const cart = await Cart.findOne(req.cartFilter);
+    if (!cart || !cart.couponCode) return next(new HttpError(404, 'No coupon applied'));
+
+    cart.couponCode = null;
+    await cart.save();
+
+    res.status(200).json({ message: 'Coupon removed', cart: await buildCartView(cart) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Take the user's non-empty cart for one checkout by stamping `checkoutAt`
+ * in the same write that finds it, so a concurrent checkout of the same cart
+ * answers 409 CHECKOUT_IN_PROGRESS instead of ordering the items again.
+ */
+async function claimCartForCheckout(userId) {
+  const now = new Date();
+  const cart = await Cart.findOneAndUpdate(
+    {
+      user: userId,
+      'items.0': { $exists: true },
+      $or: [{ checkoutAt: null }, { checkoutAt: { $lt: new Date(now - CHECKOUT_CLAIM_TTL_MS) } }],
+    },
+    { $set: { checkoutAt: now } },
+    { new: true }
+  );
+  if (cart) return cart;
+
+  const existing = await Cart.findOne({ user: userId });
+  if (!existing || existing.items.length === 0) throw new HttpError(400, 'Cart is empty');
+  throw new HttpError(409, 'A checkout of this cart is already in progress', { code: 'CHECKOUT_IN_PROGRESS' });
+}
+
+// give the cart back after a failed checkout, unless someone else has since claimed it
+async function releaseCheckoutClaim(cart) {
+  await Cart.updateOne({ _id: cart._id, checkoutAt: cart.checkoutAt }, { $set: { checkoutAt: null } });
+}
+
+/**
+ * Checkout (Protected)
+ * POST /api/cart/checkout { shippingMethod?, addressId? }
+ *
+ * Reserves stock for every cart line all-or-nothing, snapshots unit prices
+ * into a new Order and empties the cart. An applied coupon is re-checked
+ * against the reserved prices and its use is claimed atomically; if it no
+ * longer applies (409 COUPON_NOT_APPLICABLE) or its last use was just taken
+ * (409 COUPON_LIMIT_REACHED) nothing is ordered and the cart keeps it.
+ *
+ * With `shippingMethod` the order ships to `addressId` (default: the user's
+ * default address) and the delivery fee is added to the total; a method that
+ * doesn't serve the address or shipment answers 422 SHIPPING_UNAVAILABLE.
+ * While one checkout of the cart is running, another answers 409
+ * CHECKOUT_IN_PROGRESS.
+ */
+router.post('/checkout', protect, checkoutLimiter, validate(checkoutSchema), async (req, res, next) => {
+  try {
+    let method = null;
+    let address = null;
+    if (req.body.shippingMethod) {
+      method = await ShippingMethod.findOne({ code: req.body.shippingMethod, isActive: true });
+      if (!method) return next(new HttpError(404, 'Shipping method not found'));
+      if (method.requiresAddress) {
+        address = pickAddress(req.user, req.body.addressId);
+        if (!address) return next(new HttpError(400, 'No address given and no default address saved'));
+      }
+    } else if (req.body.addressId) {
+      return next(new HttpError(400, 'addressId needs a shippingMethod'));
+    }
+
+    const cart = await claimCartForCheckout(req.user._id);
+    const lines = cart.items.map(it => ({ sweet: it.item, variant: it.variant || null, quantity: it.quantity }));
+
+    // the id is fixed up front so stock movements can reference the order
+    const orderId = new mongoose.Types.ObjectId();
+    let sweets;
+    try {
+      sweets = await reserveStock(lines, { actor: req.user._id, order: orderId });
+    } catch (err) {
+      await releaseCheckoutClaim(cart);
+      throw err;
+    }
+
+    const items = sweets.map((sweet, i) => {
+      const variant = lines[i].variant ? sweet.variants.id(lines[i].variant) : null;
+      const unitPrice = roundMoney(variant ? variant.price : sweet.price);
+      const quantity = lines[i].quantity;
+      return {
+        sweet: sweet._id,
+        name: sweet.name,
+        variant: variant ? variant._id : null,
+        sku: variant ? variant.sku : undefined,
+        variantName: variant ? variant.name : undefined,
+        unitPrice,
+        quantity,
+        lineTotal: roundMoney(unitPrice * quantity),
+      };
+    });
+    const subtotal = roundMoney(items.reduce((sum, it) => sum + it.lineTotal, 0));
+
+    let order;
+    let coupon = null;
+    let pricing = { discounts: [], discountTotal: 0 };
+    let shipping = null;
+    try {
+      if (cart.couponCode) {
+        coupon = await findCouponByCode(cart.couponCode);
+        const priced = items.map((it, i) => ({ ...it, category: sweets[i].category }));
+        pricing = await evaluateCoupon(coupon, priced, { user: req.user._id });
+        if (!pricing.valid) {
+          throw new HttpError(409, pricing.reason, { code: 'COUPON_NOT_APPLICABLE' });
+        }
+      }
+
+      if (method) {
+        const weighed = sweets.map((sweet, i) => {
+          const variant = lines[i].variant ? sweet.variants.id(lines[i].variant) : null;
+          return { quantity: lines[i].quantity, weightGrams: (variant && variant.weightGrams) ?? sweet.weightGrams ?? 0 };
+        });
+        const amount = roundMoney(subtotal - pricing.discountTotal);
+        shipping = quoteShipping(method, { ...shipmentOf(weighed), amount, address });
+        if (!shipping.available) {
+          throw new HttpError(422, shipping.reason, { code: 'SHIPPING_UNAVAILABLE' });
+        }
+      }
+
+      if (coupon) await claimCoupon(coupon, req.user._id);
+
+      try {
+        order = await Order.create({
+          _id: orderId,
+          user: req.user._id,
+          items,
+          subtotal,
+          coupon: coupon ? coupon._id : null,
+          couponCode: coupon ? coupon.code : undefined,
+          discounts: pricing.discounts,
+          discountTotal: pricing.discountTotal,
+          shippingMethod: method ? method.code : undefined,
+          shippingAddress: addressSnapshot(address),
+          shippingFee: shipping ? shipping.fee : 0,
+          total: roundMoney(subtotal - pricing.discountTotal + (shipping ? shipping.fee : 0)),
+          statusHistory: [{ to: 'pending', by: req.user._id }],
+        });
+      } catch (err) {
+        if (coupon) await releaseCoupon(coupon._id, req.user._id);
+        throw err;
+      }
+    } catch (err) {
+      await releaseStock(lines, { actor: req.user._id, order: orderId });
+      await releaseCheckoutClaim(cart);
+      throw err;
+    }
+
+    cart.items = [];
+    cart.couponCode = null;
+    cart.checkoutAt = null;
+    await cart.save();
+
+    ordersPlaced.inc();
+    await recordOrderSales(order, sweets);
+
+    res.status(201).json({ message: 'Order placed', order });
+  } catch (err) {
+    next(err);
   }
 });
 
@@ -0,0 +1,34 @@
+// src/routes/categoryRoutes.js
+import express from "express";
+import Category from "../models/Category.js";
+import { validate } from "../middleware/validate.js";
+import { listCategoriesSchema } from "../validators/categoryValidators.js";
+
+const router = express.Router();
+
+/**
+ * Active categories as a tree, ordered by `order` then name (Public)
+ * GET /api/categories
+ *
+ * Children of an inactive category are hidden with it.
+ */
+router.get("/", validate(listCategoriesSchema), async (req, res, next) => {
+  try {
+    const categories = await Category.find({ isActive: true })
+      .sort({ order: 1, name: 1 })
+      .select("name slug parent order")
+      .lean();
+
+    const nodes = new Map(categories.map((c) => [c._id.toString(), { ...c, children: [] }]));
+    const roots = [];
+    for (const node of nodes.values()) {
+      if (!node.parent) roots.push(node);
+      else nodes.get(node.parent.toString())?.children.push(node);
+    }
+    return res.status(200).json(roots);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
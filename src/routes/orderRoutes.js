@@ -0,0 +1,116 @@
+// src/routes/orderRoutes.js
+import express from "express";
+import Order from "../models/Order.js";
+import { protect } from "../middleware/authMiddleware.js";
+import { isAdmin } from "../middleware/adminMiddleware.js";
+import { validate } from "../middleware/validate.js";
+import { HttpError } from "../utils/errors.js";
+import { releaseStock } from "../utils/inventory.js";
+import { releaseCoupon } from "../utils/coupons.js";
+import { cancelOrderSales } from "../utils/sales.js";
+import {
+  listAllOrdersSchema,
+  listOrdersSchema,
+  orderIdSchema,
+  updateStatusSchema,
+} from "../validators/orderValidators.js";
+
+const router = express.Router();
+
+/**
+ * List all orders (Admin only)
+ * GET /api/orders/all?status=
+ */
+router.get("/all", protect, isAdmin, validate(listAllOrdersSchema), async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    const orders = await Order.find(filter)
+      .sort({ createdAt: -1 })
+      .populate("user", "username email");
+    return res.status(200).json(orders);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Current user's order history (Protected)
+ * GET /api/orders
+ */
+router.get("/", protect, validate(listOrdersSchema), async (req, res, next) => {
+  try {
+    const orders = await Order.find({ user: req.user._id }).sort({ createdAt: -1 });
+    return res.status(200).json(orders);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Single order (Protected) — owner or admin only
+ * GET /api/orders/:id
+ */
+router.get("/:id", protect, validate(orderIdSchema), async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    // don't reveal other users' orders — answer 404 rather than 403
+    if (!order || (order.user.toString() !== req.user._id.toString() && req.user.role !== "admin")) {
+      return next(new HttpError(404, "Order not found"));
+    }
+    return res.status(200).json(order);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Move an order through its lifecycle (Admin only)
+ * PATCH /api/orders/:id/status { status, note? }
+ *
+ * Only moves listed in ORDER_TRANSITIONS are accepted. Cancelling returns the
+ * reserved stock to each Sweet and the coupon use, if any.
+ */
+router.patch("/:id/status", protect, isAdmin, validate(updateStatusSchema), async (req, res, next) => {
+  try {
+    const { status, note } = req.body;
+
+    const order = await Order.findById(req.params.id);
+    if (!order) return next(new HttpError(404, "Order not found"));
+
+    if (!Order.canTransition(order.status, status)) {
+      return next(
+        new HttpError(409, `Cannot move order from ${order.status} to ${status}`, { code: "ILLEGAL_TRANSITION" })
+      );
+    }
+
+    // Conditional on the status we read so two admins can't both apply a move
+    // (and a cancellation can never release stock twice).
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, status: order.status },
+      {
+        $set: { status },
+        $push: { statusHistory: { from: order.status, to: status, by: req.user._id, note } },
+      },
+      { new: true }
+    );
+    if (!updated) {
+      return next(new HttpError(409, "Order was updated concurrently, please retry"));
+    }
+
+    if (status === "cancelled") {
+      await releaseStock(
+        updated.items.map((it) => ({ sweet: it.sweet, variant: it.variant || null, quantity: it.quantity })),
+        { reason: "order_cancelled", actor: req.user._id, order: updated._id }
+      );
+      if (updated.coupon) await releaseCoupon(updated.coupon, updated.user);
+      await cancelOrderSales(updated._id);
+    }
+
+    return res.status(200).json({ message: "Order status updated", order: updated });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
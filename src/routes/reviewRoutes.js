@@ -0,0 +1,135 @@
+// src/routes/reviewRoutes.js
+// Mounted at /api/sweets/:id/reviews
+import express from "express";
+import Review from "../models/Review.js";
+import Sweet, { ACTIVE_FILTER } from "../models/Sweet.js";
+import { protect } from "../middleware/authMiddleware.js";
+import { validate } from "../middleware/validate.js";
+import { HttpError } from "../utils/errors.js";
+import { buildEnvelope } from "../utils/pagination.js";
+import { hasPurchased, refreshSweetRating, ratingDistribution } from "../utils/reviews.js";
+import {
+  listReviewsSchema,
+  createReviewSchema,
+  updateReviewSchema,
+  ownReviewSchema,
+} from "../validators/reviewValidators.js";
+
+const router = express.Router({ mergeParams: true });
+
+const SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  oldest: { createdAt: 1, _id: 1 },
+  highest: { rating: -1, createdAt: -1, _id: -1 },
+  lowest: { rating: 1, createdAt: -1, _id: -1 },
+};
+
+/**
+ * Visible reviews of a sweet with its rating summary (Public)
+ * GET /api/sweets/:id/reviews?page=&limit=&sort=newest|oldest|highest|lowest&rating=&verified=
+ */
+router.get("/", validate(listReviewsSchema), async (req, res, next) => {
+  try {
+    const { page, limit, sort, rating, verified } = req.query;
+    const sweet = await Sweet.findById(req.params.id).select("ratingAvg ratingCount");
+    if (!sweet) return next(new HttpError(404, "Sweet not found"));
+
+    const filter = { sweet: sweet._id, status: "visible" };
+    if (rating) filter.rating = rating;
+    if (verified !== undefined) filter.verifiedPurchase = verified;
+
+    const [reviews, total, distribution] = await Promise.all([
+      Review.find(filter)
+        .sort(SORTS[sort])
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select("-hiddenBy -hiddenReason")
+        .populate("user", "username"),
+      Review.countDocuments(filter),
+      ratingDistribution(sweet._id),
+    ]);
+
+    const envelope = buildEnvelope(req, reviews, total, { page, limit });
+    envelope.summary = { ratingAvg: sweet.ratingAvg, ratingCount: sweet.ratingCount, distribution };
+    return res.status(200).json(envelope);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Review a sweet (Protected) — one review per user; edit it with PATCH /mine
+ * POST /api/sweets/:id/reviews { rating, title?, body? }
+ */
+router.post("/", protect, validate(createReviewSchema), async (req, res, next) => {
+  try {
+    const sweet = await Sweet.exists({ _id: req.params.id, ...ACTIVE_FILTER });
+    if (!sweet) return next(new HttpError(404, "Sweet not found"));
+
+    const existing = await Review.exists({ sweet: sweet._id, user: req.user._id });
+    if (existing) {
+      return next(new HttpError(409, "You have already reviewed this sweet; edit your review instead", { code: "REVIEW_EXISTS" }));
+    }
+
+    const review = await Review.create({
+      ...req.body,
+      sweet: sweet._id,
+      user: req.user._id,
+      verifiedPurchase: await hasPurchased(req.user._id, sweet._id),
+    });
+    const rating = await refreshSweetRating(sweet._id);
+    return res.status(201).json({ message: "Review added", review, rating });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * The caller's own review, whatever its status (Protected)
+ * GET /api/sweets/:id/reviews/mine
+ */
+router.get("/mine", protect, validate(ownReviewSchema), async (req, res, next) => {
+  try {
+    const review = await Review.findOne({ sweet: req.params.id, user: req.user._id });
+    if (!review) return next(new HttpError(404, "Review not found"));
+    return res.status(200).json(review);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Edit the caller's review (Protected). A hidden review stays hidden.
+ * PATCH /api/sweets/:id/reviews/mine { rating?, title?, body? }
+ */
+router.patch("/mine", protect, validate(updateReviewSchema), async (req, res, next) => {
+  try {
+    const review = await Review.findOne({ sweet: req.params.id, user: req.user._id });
+    if (!review) return next(new HttpError(404, "Review not found"));
+
+    review.set(req.body);
+    review.verifiedPurchase = await hasPurchased(req.user._id, review.sweet);
+    await review.save();
+    const rating = await refreshSweetRating(review.sweet);
+    return res.status(200).json({ message: "Review updated", review, rating });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Delete the caller's review (Protected)
+ * DELETE /api/sweets/:id/reviews/mine
+ */
+router.delete("/mine", protect, validate(ownReviewSchema), async (req, res, next) => {
+  try {
+    const review = await Review.findOneAndDelete({ sweet: req.params.id, user: req.user._id });
+    if (!review) return next(new HttpError(404, "Review not found"));
+    const rating = await refreshSweetRating(review.sweet);
+    return res.status(200).json({ message: "Review deleted", rating });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,68 @@
+// src/routes/shippingRoutes.js
+import express from "express";
+import ShippingMethod from "../models/ShippingMethod.js";
+import Cart from "../models/Cart.js";
+import { cartOwner } from "../middleware/cartMiddleware.js";
+import { validate } from "../middleware/validate.js";
+import { HttpError } from "../utils/errors.js";
+import { buildCartView } from "../utils/cartView.js";
+import { quoteShipping, pickAddress, shipmentOf } from "../utils/shipping.js";
+import { listMethodsSchema, quoteSchema } from "../validators/shippingValidators.js";
+
+const router = express.Router();
+
+// what customers see of a method; zone rules stay internal
+const PUBLIC_FIELDS = "code name description requiresAddress";
+
+/**
+ * Active shipping methods, in display order
+ * GET /api/shipping/methods
+ */
+router.get("/methods", validate(listMethodsSchema), async (req, res, next) => {
+  try {
+    const methods = await ShippingMethod.find({ isActive: true }).sort({ order: 1, name: 1 }).select(PUBLIC_FIELDS);
+    return res.status(200).json({ methods });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Price the current cart's purchasable lines. The destination is a saved
+ * address (`addressId`), an inline `address` (guests), or else the user's
+ * default address. Without `method` every active method is quoted;
+ * unavailable ones come back with `available: false` and a reason.
+ * POST /api/shipping/quote { method?, addressId? | address? }
+ */
+router.post("/quote", validate(quoteSchema), cartOwner, async (req, res, next) => {
+  try {
+    const { method: code, addressId, address: inline } = req.body;
+    if (addressId && inline) throw new HttpError(400, "Send either addressId or address, not both");
+    if (addressId && !req.user) throw new HttpError(401, "Log in to use a saved address");
+    const address = inline || (req.user ? pickAddress(req.user, addressId) : null);
+
+    const filter = { isActive: true };
+    if (code) filter.code = code;
+    const methods = await ShippingMethod.find(filter).sort({ order: 1, name: 1 });
+    if (code && !methods.length) throw new HttpError(404, "Shipping method not found");
+
+    const view = await buildCartView(await Cart.findOne(req.cartFilter));
+    const purchasable = view.items.filter((l) => !l.deleted && !l.archived && !l.needsVariant && !l.outOfStock);
+    if (!purchasable.length) throw new HttpError(400, "Cart has nothing to ship");
+
+    const shipment = { ...shipmentOf(purchasable), amount: view.total };
+    const quotes = methods.map((m) => quoteShipping(m, { ...shipment, address }));
+
+    return res.status(200).json({
+      address,
+      itemCount: shipment.itemCount,
+      weightGrams: shipment.weightGrams,
+      total: view.total,
+      quotes,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,211 +1,628 @@
 // backend/src/routes/sweetRoutes.js
 import express from "express";
 import mongoose from "mongoose";
-import jwt from "jsonwebtoken";
-import Sweet from "../models/Sweet.js";
-import { protect } from "../middleware/authMiddleware.js";
+import Sweet, { ACTIVE_FILTER } from "../models/Sweet.js";
+import Cart from "../models/Cart.js";
+import Review from "../models/Review.js";
+import WishlistItem from "../models/WishlistItem.js";
+import StockSubscription from "../models/StockSubscription.js";
+import { protect, optionalAuth } from "../middleware/authMiddleware.js";
 import { isAdmin } from "../middleware/adminMiddleware.js";
+import { validate } from "../middleware/validate.js";
+import { purchaseLimiter } from "../middleware/rateLimit.js";
+import { imageUpload, MAX_IMAGES_PER_REQUEST } from "../middleware/upload.js";
+import { HttpError } from "../utils/errors.js";
+import { parseListOptions, buildEnvelope } from "../utils/pagination.js";
+import { adjustStock, stockFailure } from "../utils/inventory.js";
+import { storeSweetImages, deleteImageFiles } from "../utils/images.js";
+import { expandQuery, searchFacets, invalidateVocabulary } from "../utils/search.js";
+import { resolveSweetCategory, categoryCondition } from "../utils/categories.js";
+import { getAnalytics } from "../utils/analytics.js";
+import { recordPurchase } from "../utils/sales.js";
+import {
+  listSchema,
+  searchSchema,
+  popularitySchema,
+  trendingSchema,
+  createSweetSchema,
+  updateSweetSchema,
+  purchaseSchema,
+  restockSchema,
+  sweetIdSchema,
+  sweetImageSchema,
+  addVariantSchema,
+  updateVariantSchema,
+  variantIdSchema,
+  MAX_VARIANTS,
+} from "../validators/sweetValidators.js";
 
 const router = express.Router();
 
+const MAX_IMAGES_PER_SWEET = 20;
+const PLACEHOLDER_IMAGE = Sweet.schema.path("image").defaultValue;
+
 /**
  * Helper: determine if the incoming request belongs to an admin.
- * Tries to read Authorization header and verify JWT payload role.
+ * Needs `protect` or `optionalAuth` first, so a demoted admin or a revoked
+ * session no longer counts.
  */
 function requestIsAdmin(req) {
-  try {
-    const auth = req.headers.authorization || "";
-    const token = auth.startsWith("Bearer ") ? auth.split(" ")[1] : null;
-    if (!token) return false;
-    const payload = jwt.verify(token, process.env.JWT_SECRET);
-    return payload && payload.role === "admin";
-  } catch (err) {
-    return false;
-  }
+  return req.user?.role === "admin";
 }
 
 /**
- * Utility: hide stock for non-admins by converting docs to plain objects.
+ * Utility: hide stock (including per-variant stock) for non-admins by
+ * converting docs to plain objects.
  */
 function hideStockForNonAdmin(sweets, isAdminFlag) {
   if (isAdminFlag) return sweets;
   return sweets.map((s) => {
     const o = s.toObject ? s.toObject() : { ...s };
     o.stock = undefined; // explicitly hide stock
+    if (Array.isArray(o.variants)) o.variants = o.variants.map(({ stock, ...v }) => v);
     return o;
   });
 }
 
+/**
+ * Shared listing for GET / and /search.
+ *
+ * With ?page= or ?limit= the response is an envelope
+ * `{ items, total, page, limit, totalPages, next, prev }`; without them the
+ * legacy bare array is returned (still honouring sort/fields). `createdBy`
+ * is only populated for legacy callers or when asked for via ?fields=.
+ *
+ * `textSearch` ranks by relevance (the default sort then) and `facets`, a
+ * function, adds `facets` to the envelope.
+ */
+async function sendListing(req, res, filter, { textSearch = false, facets = null } = {}) {
+  const opts = parseListOptions(req.query, { defaultSort: textSearch ? "relevance" : "newest", textSearch });
+
+  const admin = requestIsAdmin(req);
+  const populate = opts.fields ? opts.fields.includes("createdBy") : !opts.paginated;
+  const byRelevance = opts.sortKey === "relevance";
+
+  // legacy callers keep natural order unless they ask for a sort (or search)
+  let query = Sweet.find(filter);
+  if (opts.paginated || req.query.sort || byRelevance) query = query.sort(opts.sort);
+  if (opts.projection) query = query.select(opts.projection);
+  if (byRelevance) query = query.select({ score: { $meta: "textScore" } });
+  if (populate) query = query.populate("createdBy", "username email");
+
+  if (!opts.paginated) {
+    const sweets = await query;
+    return res.status(200).json(hideStockForNonAdmin(sweets, admin));
+  }
+
+  const [sweets, total, facetCounts] = await Promise.all([
+    query.skip((opts.page - 1) * opts.limit).limit(opts.limit),
+    Sweet.countDocuments(filter),
+    facets ? facets() : null,
+  ]);
+  const items = hideStockForNonAdmin(sweets, admin);
+  const envelope = buildEnvelope(req, items, total, opts);
+  if (facetCounts) envelope.facets = facetCounts;
+  return res.status(200).json(envelope);
+}
+
 /**
  * Search endpoint
- * /api/sweets/search?q=&category=&minPrice=&maxPrice=
+ * /api/sweets/search?q=&category=&minPrice=&maxPrice=&minRating=&page=&limit=&sort=&fields=
+ *
+ * `category` (name or slug) also matches its subcategories.
+ * `q` is matched with the text index across name, description and category,
+ * expanded with prefix and typo-tolerant matches ("choclate" finds
+ * "chocolate"), and ranked by relevance unless ?sort= says otherwise.
+ * Paginated responses carry category and price-bucket facet counts.
  */
-router.get("/search", async (req, res) => {
+router.get("/search", optionalAuth, validate(searchSchema), async (req, res, next) => {
   try {
-    const { q, category, minPrice, maxPrice } = req.query;
-    const filter = {};
+    const { q, minPrice, maxPrice, minRating } = req.query;
+    const category = req.query.category ? await categoryCondition(req.query.category) : null;
 
-    if (q) filter.name = { $regex: q, $options: "i" };
-    if (category) filter.category = category;
-    if (minPrice || maxPrice) {
-      filter.price = {};
-      if (minPrice) filter.price.$gte = Number(minPrice);
-      if (maxPrice) filter.price.$lte = Number(maxPrice);
+    let price = null;
+    if (minPrice !== undefined || maxPrice !== undefined) {
+      price = {};
+      if (minPrice !== undefined) price.$gte = minPrice;
+      if (maxPrice !== undefined) price.$lte = maxPrice;
     }
 
-    const sweets = await Sweet.find(filter).populate("createdBy", "username email");
-    const admin = requestIsAdmin(req);
-    const out = hideStockForNonAdmin(sweets, admin);
-    return res.status(200).json(out);
+    // a q with no searchable words (only punctuation) is ignored
+    const base = { ...ACTIVE_FILTER };
+    if (minRating !== undefined) base.ratingAvg = { $gte: minRating };
+    const terms = q ? await expandQuery(q) : null;
+    if (terms) base.$text = { $search: terms };
+
+    const filter = { ...base };
+    if (category) filter.category = category;
+    if (price) filter.price = price;
+
+    return await sendListing(req, res, filter, {
+      textSearch: !!terms,
+      facets: () => searchFacets({ base, category, price }),
+    });
   } catch (error) {
-    console.error("❌ Search Error:", error);
-    return res.status(500).json({ message: "Server error" });
+    next(error);
   }
 });
 
 /**
  * Popularity endpoint
- * /api/sweets/popularity
+ * /api/sweets/popularity?window=24h|7d|30d|all
  *
- * - If you maintain a `purchasedCount` (or similar) field on Sweet, it will be used.
- * - Otherwise falls back to most-recent sweets.
+ * Best sellers by units sold in the window (from the cached rankings in
+ * utils/analytics.js), each with `sales: { units, revenue }`. `all` ranks by
+ * the all-time `purchasedCount`. Short lists are topped up with all-time
+ * best sellers, then the newest sweets, so there are always up to 12.
  */
-router.get("/popularity", async (req, res) => {
+router.get("/popularity", optionalAuth, validate(popularitySchema), async (req, res, next) => {
   try {
-    // try to use purchasedCount if exists, otherwise sort by createdAt
-    const sortBy = { purchasedCount: -1, createdAt: -1 };
+    const { window } = req.query;
+    const size = 12;
 
-    // If purchasedCount doesn't exist for any docs, this still works (will return recent items).
-    const sweets = await Sweet.find({})
-      .sort(sortBy)
-      .limit(12)
-      .populate("createdBy", "username email");
+    let ranked = [];
+    let computedAt = null;
+    if (window !== "all") {
+      const analytics = await getAnalytics();
+      ranked = analytics.rankings[window].slice(0, size);
+      computedAt = analytics.computedAt;
+    }
+
+    const rankedIds = ranked.map((r) => r.sweet._id);
+    const [rankedDocs, filler] = await Promise.all([
+      // rankings may predate an archive; archived sweets never show here
+      Sweet.find({ ...ACTIVE_FILTER, _id: { $in: rankedIds } }).populate("createdBy", "username email"),
+      Sweet.find({ ...ACTIVE_FILTER, _id: { $nin: rankedIds } })
+        .sort({ purchasedCount: -1, createdAt: -1 })
+        .limit(size)
+        .populate("createdBy", "username email"),
+    ]);
+    const byId = new Map(rankedDocs.map((s) => [s._id.toString(), s]));
+    ranked = ranked.filter((r) => byId.has(r.sweet._id.toString()));
+    const sweets = [...ranked.map((r) => byId.get(r.sweet._id.toString())), ...filler.slice(0, size - ranked.length)];
 
     const admin = requestIsAdmin(req);
-    const out = hideStockForNonAdmin(sweets, admin);
-    return res.status(200).json({ sweets: out });
+    const salesById = new Map(ranked.map((r) => [r.sweet._id.toString(), { units: r.units, revenue: r.revenue }]));
+    const out = hideStockForNonAdmin(sweets, admin).map((s) => {
+      const o = s.toObject ? s.toObject() : s;
+      return { ...o, sales: salesById.get(o._id.toString()) || null };
+    });
+    return res.status(200).json({ sweets: out, window, computedAt });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Trending sweets per category (Public)
+ * /api/sweets/trending?category=
+ *
+ * Sweets selling faster over the last day than their daily average of the
+ * week before, top 5 per category, fastest-rising categories first.
+ * `category` (name or slug) narrows it to that category and its
+ * subcategories.
+ */
+router.get("/trending", validate(trendingSchema), async (req, res, next) => {
+  try {
+    const analytics = await getAnalytics();
+    let categories = analytics.trending;
+    if (req.query.category) {
+      const cond = await categoryCondition(req.query.category);
+      const names = typeof cond === "string" ? [cond] : cond.$in;
+      categories = categories.filter((c) => names.includes(c.category));
+    }
+    return res.status(200).json({ categories, computedAt: analytics.computedAt });
   } catch (err) {
-    console.error("GET /api/sweets/popularity error:", err);
-    return res.status(500).json({ message: "Failed to fetch popular sweets" });
+    next(err);
   }
 });
 
+/**
+ * Load :id into req.sweet, allowing only its creator or an admin through.
+ * Sweets without a creator (older imports) are admin-only.
+ */
+async function loadEditableSweet(req, res, next) {
+  try {
+    const sweet = await Sweet.findById(req.params.id);
+    if (!sweet) return next(new HttpError(404, "Sweet not found"));
+    const isCreator = sweet.createdBy?.toString() === req.user._id.toString();
+    if (!isCreator && req.user.role !== "admin") {
+      return next(new HttpError(403, "Not authorized to update this sweet"));
+    }
+    req.sweet = sweet;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * Create a new sweet (Protected)
+ *
+ * With `variants` the sweet's price is the lowest variant price and stock is
+ * given per variant; a top-level `stock` is then rejected.
  */
-router.post("/", protect, async (req, res) => {
+router.post("/", protect, validate(createSweetSchema), async (req, res, next) => {
   try {
-    const { name, description, price, category, image, stock } = req.body;
-    const sweet = await Sweet.create({
+    const { name, description, image, stock, lowStockThreshold, weightGrams } = req.body;
+    const category = await resolveSweetCategory(req.body.category);
+    const variants = req.body.variants || [];
+    let { price } = req.body;
+
+    if (variants.length) {
+      if (stock) return next(new HttpError(422, "Give stock per variant for sweets with variants"));
+      price = Math.min(...variants.map((v) => v.price));
+    } else if (price === undefined) {
+      return next(new HttpError(422, "Request validation failed", { details: [{ path: "body.price", message: "is required" }] }));
+    }
+
+    let sweet = await Sweet.create({
       name,
       description,
       price,
       category,
       image,
-      stock,
+      lowStockThreshold,
+      weightGrams,
+      stock: 0,
+      variants: variants.map(({ stock: _opening, ...v }) => ({ ...v, stock: 0 })),
       createdBy: req.user._id,
     });
+    // opening stock goes through the ledger like every other change
+    if (stock) {
+      sweet = await adjustStock(sweet._id, stock, { reason: "initial", actor: req.user._id });
+    }
+    for (const [i, v] of variants.entries()) {
+      if (!v.stock) continue;
+      sweet = await adjustStock(sweet._id, v.stock, {
+        variant: sweet.variants[i]._id,
+        reason: "initial",
+        actor: req.user._id,
+      });
+    }
+    invalidateVocabulary();
     return res.status(201).json({ message: "Sweet added successfully!", sweet });
   } catch (error) {
-    console.error("❌ Create Sweet Error:", error);
-    return res.status(500).json({ message: "Server error" });
+    next(error);
   }
 });
 
 /**
  * Get all sweets (Public) - hides stock for non-admin
+ * GET /api/sweets?page=&limit=&sort=&fields=&minRating=
  */
-router.get("/", async (req, res) => {
+router.get("/", optionalAuth, validate(listSchema), async (req, res, next) => {
   try {
-    const sweets = await Sweet.find().populate("createdBy", "username email");
-    const admin = requestIsAdmin(req);
-    const out = hideStockForNonAdmin(sweets, admin);
-    return res.status(200).json(out);
+    const filter = { ...ACTIVE_FILTER };
+    if (req.query.minRating !== undefined) filter.ratingAvg = { $gte: req.query.minRating };
+    return await sendListing(req, res, filter);
   } catch (error) {
-    console.error("❌ Get Sweets Error:", error);
-    return res.status(500).json({ message: "Server error" });
+    next(error);
   }
 });
 
 /**
  * Update sweet (Protected) — only creator or admin may update
  */
-router.put("/:id", protect, async (req, res) => {
+router.put("/:id", protect, validate(updateSweetSchema), loadEditableSweet, async (req, res, next) => {
   try {
-    const sweet = await Sweet.findById(req.params.id);
-    if (!sweet) return res.status(404).json({ message: "Sweet not found" });
-
-    if (sweet.createdBy.toString() !== req.user._id.toString() && req.user.role !== "admin")
-      return res.status(403).json({ message: "Not authorized to update this sweet" });
-
-    const updatedSweet = await Sweet.findByIdAndUpdate(req.params.id, req.body, { new: true });
+    // req.body only holds whitelisted fields (see updateSweetSchema)
+    if (req.body.price !== undefined && req.sweet.variants.length) {
+      return next(new HttpError(409, "This sweet is priced per variant; update its variants instead"));
+    }
+    if (req.body.category !== undefined) req.body.category = await resolveSweetCategory(req.body.category);
+    const updatedSweet = await Sweet.findByIdAndUpdate(req.params.id, req.body, {
+      new: true,
+      runValidators: true,
+    });
+    invalidateVocabulary();
     return res.status(200).json({ message: "Sweet updated successfully", sweet: updatedSweet });
   } catch (error) {
-    console.error("❌ Update Sweet Error:", error);
-    return res.status(500).json({ message: "Server error" });
+    next(error);
   }
 });
 
 /**
  * Purchase endpoint (Protected)
- * POST /api/sweets/:id/purchase
+ * POST /api/sweets/:id/purchase { quantity?, variant? }
+ *
+ * `variant` is required for sweets with variants.
  */
-router.post("/:id/purchase", protect, async (req, res) => {
+router.post("/:id/purchase", protect, purchaseLimiter, validate(purchaseSchema), async (req, res, next) => {
   try {
-    const { quantity = 1 } = req.body;
-    const qty = Number(quantity) || 1;
-    if (qty <= 0) return res.status(400).json({ message: "Quantity must be >= 1" });
+    const { quantity: qty, variant = null } = req.body;
 
-    const sweet = await Sweet.findOneAndUpdate(
-      { _id: req.params.id, stock: { $gte: qty } },
-      { $inc: { stock: -qty, purchasedCount: qty } }, // increment purchasedCount if present
-      { new: true }
-    );
-
-    if (!sweet) {
-      const maybe = await Sweet.findById(req.params.id).select("stock");
-      if (!maybe) return res.status(404).json({ message: "Sweet not found" });
-      return res.status(400).json({ message: `Insufficient stock. Only ${maybe.stock} item(s) available.` });
-    }
+    const sweet = await adjustStock(req.params.id, -qty, {
+      variant,
+      reason: "purchase",
+      actor: req.user._id,
+      purchased: qty,
+    });
+    if (!sweet) return next(await stockFailure(req.params.id, { variant, sale: true }));
+    await recordPurchase(sweet, { variant, quantity: qty, user: req.user._id });
 
     return res.status(200).json({ message: "Purchase successful", sweet, purchasedQuantity: qty });
   } catch (error) {
-    console.error("❌ Purchase Error:", error);
-    return res.status(500).json({ message: "Server error" });
+    next(error);
   }
 });
 
 /**
  * Restock (Admin only)
- * POST /api/sweets/:id/restock { quantity }
+ * POST /api/sweets/:id/restock { quantity, variant? }
  */
-router.post("/:id/restock", protect, isAdmin, async (req, res) => {
+router.post("/:id/restock", protect, isAdmin, validate(restockSchema), async (req, res, next) => {
   try {
-    const { quantity } = req.body;
-    const qty = Number(quantity);
-    if (!quantity || isNaN(qty) || qty <= 0) return res.status(400).json({ message: "Please provide a valid quantity > 0" });
+    const { quantity: qty, variant = null } = req.body;
 
-    const sweet = await Sweet.findByIdAndUpdate(req.params.id, { $inc: { stock: qty } }, { new: true });
-    if (!sweet) return res.status(404).json({ message: "Sweet not found" });
+    const sweet = await adjustStock(req.params.id, qty, { variant, reason: "restock", actor: req.user._id });
+    if (!sweet) return next(await stockFailure(req.params.id, { variant }));
     return res.status(200).json({ message: "Restocked successfully", sweet });
   } catch (error) {
-    console.error("❌ Restock Error:", error);
-    return res.status(500).json({ message: "Server error" });
+    next(error);
   }
 });
 
 /**
- * Delete sweet (Admin only)
+ * Add a variant (Protected) — only creator or admin
+ * POST /api/sweets/:id/variants { sku, price, name?, attributes?, stock? }
+ *
+ * Adding the first variant turns the sweet into a variant sweet: it must
+ * not hold stock of its own any more.
  */
-router.delete("/:id", protect, isAdmin, async (req, res) => {
+router.post("/:id/variants", protect, validate(addVariantSchema), loadEditableSweet, async (req, res, next) => {
+  try {
+    const { stock, ...variant } = req.body;
+    if (req.sweet.variants.length >= MAX_VARIANTS) {
+      return next(new HttpError(409, `A sweet can have at most ${MAX_VARIANTS} variants`));
+    }
+    if (!req.sweet.variants.length && req.sweet.stock > 0) {
+      return next(new HttpError(409, "Adjust the sweet's own stock to 0 before adding variants", { code: "HAS_STOCK" }));
+    }
+
+    const variantId = new mongoose.Types.ObjectId();
+    let sweet = await Sweet.findOneAndUpdate(
+      { _id: req.sweet._id, "variants.sku": { $ne: variant.sku.toUpperCase() } },
+      { $push: { variants: { ...variant, _id: variantId, stock: 0 } } },
+      { new: true, runValidators: true }
+    );
+    if (!sweet) return next(new HttpError(409, "SKU already used by this sweet", { code: "DUPLICATE" }));
+
+    await Sweet.syncVariantPrice(sweet._id);
+    if (stock) {
+      await adjustStock(sweet._id, stock, { variant: variantId, reason: "initial", actor: req.user._id });
+    }
+    sweet = await Sweet.findById(sweet._id);
+    return res.status(201).json({ message: "Variant added", sweet, variant: sweet.variants.id(variantId) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Update a variant (Protected) — only creator or admin. Stock is changed
+ * through restock/stock adjustments only.
+ * PATCH /api/sweets/:id/variants/:variantId { sku?, name?, attributes?, price? }
+ */
+router.patch(
+  "/:id/variants/:variantId",
+  protect,
+  validate(updateVariantSchema),
+  loadEditableSweet,
+  async (req, res, next) => {
+    try {
+      const { variantId } = req.params;
+      if (!req.sweet.variants.id(variantId)) return next(new HttpError(404, "Variant not found"));
+
+      const set = {};
+      for (const [key, value] of Object.entries(req.body)) set[`variants.$.${key}`] = value;
+      if (req.body.sku) {
+        const taken = req.sweet.variants.some((v) => !v._id.equals(variantId) && v.sku === req.body.sku.toUpperCase());
+        if (taken) return next(new HttpError(409, "SKU already used by this sweet", { code: "DUPLICATE" }));
+      }
+
+      await Sweet.updateOne({ _id: req.sweet._id, "variants._id": variantId }, { $set: set }, { runValidators: true });
+      await Sweet.syncVariantPrice(req.sweet._id);
+      const sweet = await Sweet.findById(req.sweet._id);
+      return res.status(200).json({ message: "Variant updated", sweet, variant: sweet.variants.id(variantId) });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Remove a variant (Protected) — only creator or admin
+ * DELETE /api/sweets/:id/variants/:variantId
+ *
+ * Remaining stock is written off through the ledger first. Carts holding
+ * the variant show the line as deleted; orders keep their snapshot.
+ */
+router.delete(
+  "/:id/variants/:variantId",
+  protect,
+  validate(variantIdSchema),
+  loadEditableSweet,
+  async (req, res, next) => {
+    try {
+      const { variantId } = req.params;
+      const variant = req.sweet.variants.id(variantId);
+      if (!variant) return next(new HttpError(404, "Variant not found"));
+
+      if (variant.stock > 0) {
+        await adjustStock(req.sweet._id, -variant.stock, {
+          variant: variant._id,
+          reason: "adjustment",
+          actor: req.user._id,
+          note: `variant ${variant.sku} removed`,
+        });
+      }
+      // only pull it once its stock is 0, so a concurrent sale or restock isn't lost
+      const result = await Sweet.updateOne(
+        { _id: req.sweet._id, variants: { $elemMatch: { _id: variant._id, stock: 0 } } },
+        { $pull: { variants: { _id: variant._id } } }
+      );
+      if (!result.modifiedCount) {
+        return next(new HttpError(409, "Variant stock changed while removing it; try again", { code: "CONFLICT" }));
+      }
+
+      await Sweet.syncVariantPrice(req.sweet._id);
+      const sweet = await Sweet.findById(req.sweet._id);
+      return res.status(200).json({ message: "Variant removed", sweet });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Upload images (Protected) — only creator or admin
+ * POST /api/sweets/:id/images  multipart/form-data, field "images" (one or more files)
+ *
+ * Each file must decode as jpeg/png/webp/gif; a webp thumbnail is generated.
+ * The first image becomes the sweet's primary `image` if it has none yet.
+ */
+router.post(
+  "/:id/images",
+  protect,
+  validate(sweetIdSchema),
+  loadEditableSweet,
+  imageUpload.array("images", MAX_IMAGES_PER_REQUEST),
+  async (req, res, next) => {
+    try {
+      const files = req.files || [];
+      if (!files.length) {
+        return next(new HttpError(422, "No images uploaded", { details: [{ path: "images", message: "is required" }] }));
+      }
+      if (req.sweet.images.length + files.length > MAX_IMAGES_PER_SWEET) {
+        return next(new HttpError(409, `A sweet can have at most ${MAX_IMAGES_PER_SWEET} images`));
+      }
+
+      const images = await storeSweetImages(req.sweet._id, files);
+      const update = { $push: { images: { $each: images } } };
+      if (!req.sweet.image || req.sweet.image === PLACEHOLDER_IMAGE) update.$set = { image: images[0].url };
+
+      const sweet = await Sweet.findByIdAndUpdate(req.sweet._id, update, { new: true });
+      if (!sweet) {
+        // deleted while we were uploading
+        await deleteImageFiles(images);
+        return next(new HttpError(404, "Sweet not found"));
+      }
+      return res.status(201).json({ message: "Images uploaded", images, sweet });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Remove an image (Protected) — only creator or admin
+ * DELETE /api/sweets/:id/images/:imageId
+ */
+router.delete("/:id/images/:imageId", protect, validate(sweetImageSchema), loadEditableSweet, async (req, res, next) => {
+  try {
+    const image = req.sweet.images.id(req.params.imageId);
+    if (!image) return next(new HttpError(404, "Image not found"));
+
+    const update = { $pull: { images: { _id: image._id } } };
+    if (req.sweet.image === image.url) {
+      const remaining = req.sweet.images.find((img) => !img._id.equals(image._id));
+      update.$set = { image: remaining ? remaining.url : PLACEHOLDER_IMAGE };
+    }
+    const sweet = await Sweet.findByIdAndUpdate(req.sweet._id, update, { new: true });
+    await deleteImageFiles([image]);
+    return res.status(200).json({ message: "Image removed", sweet });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Archived sweets (Admin only)
+ * GET /api/sweets/archived?page=&limit=&sort=&fields=
+ */
+router.get("/archived", protect, isAdmin, validate(listSchema), async (req, res, next) => {
+  try {
+    return await sendListing(req, res, { isActive: false });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Delete sweet (Admin only) — archives it: hidden from the catalogue, kept
+ * for orders and carts, restorable. Use /:id/purge to remove it for good.
+ */
+router.delete("/:id", protect, isAdmin, validate(sweetIdSchema), async (req, res, next) => {
+  try {
+    const sweet = await Sweet.findOneAndUpdate(
+      { _id: req.params.id, ...ACTIVE_FILTER },
+      { $set: { isActive: false, deletedAt: new Date(), deletedBy: req.user._id } },
+      { new: true }
+    );
+    if (!sweet) {
+      const exists = await Sweet.exists({ _id: req.params.id });
+      if (!exists) return next(new HttpError(404, "Sweet not found"));
+      return next(new HttpError(409, "Sweet is already archived"));
+    }
+    invalidateVocabulary();
+    return res.status(200).json({ message: "Sweet deleted successfully", sweet });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Restore an archived sweet (Admin only)
+ * POST /api/sweets/:id/restore
+ */
+router.post("/:id/restore", protect, isAdmin, validate(sweetIdSchema), async (req, res, next) => {
+  try {
+    const sweet = await Sweet.findOneAndUpdate(
+      { _id: req.params.id, isActive: false },
+      { $set: { isActive: true, deletedAt: null, deletedBy: null } },
+      { new: true }
+    );
+    if (!sweet) {
+      const exists = await Sweet.exists({ _id: req.params.id });
+      if (!exists) return next(new HttpError(404, "Sweet not found"));
+      return next(new HttpError(409, "Sweet is not archived"));
+    }
+    invalidateVocabulary();
+    return res.status(200).json({ message: "Sweet restored", sweet });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Permanently delete an archived sweet (Admin only)
+ * DELETE /api/sweets/:id/purge
+ *
+ * Removes it from every cart and wishlist and deletes its images, reviews and
+ * back-in-stock subscriptions. Orders keep their snapshot (name, price) but
+ * their `sweet` reference no longer resolves.
+ */
+router.delete("/:id/purge", protect, isAdmin, validate(sweetIdSchema), async (req, res, next) => {
   try {
     const sweet = await Sweet.findById(req.params.id);
-    if (!sweet) return res.status(404).json({ message: "Sweet not found" });
+    if (!sweet) return next(new HttpError(404, "Sweet not found"));
+    if (sweet.isActive !== false) {
+      return next(new HttpError(409, "Archive the sweet before purging it", { code: "NOT_ARCHIVED" }));
+    }
+
+    const carts = await Cart.updateMany({ "items.item": sweet._id }, { $pull: { items: { item: sweet._id } } });
     await sweet.deleteOne();
-    return res.status(200).json({ message: "Sweet deleted successfully" });
+    invalidateVocabulary();
+    await Promise.all([
+      Review.deleteMany({ sweet: sweet._id }),
+      WishlistItem.deleteMany({ sweet: sweet._id }),
+      StockSubscription.deleteMany({ sweet: sweet._id }),
+    ]);
+    await deleteImageFiles(sweet.images);
+    return res.status(200).json({ message: "Sweet purged", cartsUpdated: carts.modifiedCount });
   } catch (error) {
-    console.error("❌ Delete Sweet Error:", error);
-    return res.status(500).json({ message: "Server error" });
+    next(error);
   }
 });
 
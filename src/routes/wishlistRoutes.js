@@ -0,0 +1,152 @@
+// src/routes/wishlistRoutes.js
+import express from "express";
+import WishlistItem from "../models/WishlistItem.js";
+import StockSubscription from "../models/StockSubscription.js";
+import Sweet, { ACTIVE_FILTER } from "../models/Sweet.js";
+import { protect } from "../middleware/authMiddleware.js";
+import { validate } from "../middleware/validate.js";
+import { HttpError } from "../utils/errors.js";
+import {
+  listWishlistSchema,
+  addWishlistSchema,
+  removeWishlistSchema,
+  subscribeSchema,
+  unsubscribeSchema,
+} from "../validators/wishlistValidators.js";
+
+const router = express.Router();
+
+// a wishlist always belongs to a logged-in user
+router.use(protect);
+
+/**
+ * Subscribe the user to a back-in-stock notification; a no-op if they
+ * already have a pending one.
+ */
+async function subscribe(user, sweet, variant = null) {
+  try {
+    await StockSubscription.updateOne(
+      { user, sweet, variant, notifiedAt: null },
+      { $setOnInsert: { user, sweet, variant } },
+      { upsert: true }
+    );
+  } catch (err) {
+    if (err.code !== 11000) throw err; // a concurrent request subscribed first
+  }
+}
+
+/**
+ * The user's wishlist, newest first. Stock is reduced to `inStock`; sweets
+ * archived since they were saved are flagged, purged ones have `sweet: null`.
+ * `notify` lists the pending back-in-stock subscriptions (variant ids, null
+ * for the whole sweet).
+ * GET /api/wishlist
+ */
+router.get("/", validate(listWishlistSchema), async (req, res, next) => {
+  try {
+    const entries = await WishlistItem.find({ user: req.user._id }).sort({ createdAt: -1 }).lean();
+    const ids = entries.map((e) => e.sweet);
+    const [sweets, subs] = await Promise.all([
+      Sweet.find({ _id: { $in: ids } }).select("name price image category stock isActive variants ratingAvg ratingCount"),
+      StockSubscription.find({ user: req.user._id, sweet: { $in: ids }, notifiedAt: null }).lean(),
+    ]);
+    const byId = new Map(sweets.map((s) => [s._id.toString(), s]));
+
+    const items = entries.map((e) => {
+      const sweet = byId.get(e.sweet.toString());
+      const notify = subs.filter((s) => s.sweet.equals(e.sweet)).map((s) => s.variant);
+      if (!sweet) return { sweet: null, addedAt: e.createdAt, inStock: false, archived: false, notify };
+
+      const { stock, variants, ...summary } = sweet.toObject();
+      return {
+        sweet: { ...summary, variants: variants.map(({ stock: vStock, ...v }) => ({ ...v, inStock: vStock > 0 })) },
+        addedAt: e.createdAt,
+        inStock: stock > 0,
+        archived: sweet.isActive === false,
+        notify,
+      };
+    });
+    return res.status(200).json({ items, count: items.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Save a sweet; `notify: true` also subscribes to back-in-stock news
+ * POST /api/wishlist { sweet, notify? }
+ */
+router.post("/", validate(addWishlistSchema), async (req, res, next) => {
+  try {
+    const sweet = await Sweet.exists({ _id: req.body.sweet, ...ACTIVE_FILTER });
+    if (!sweet) return next(new HttpError(404, "Sweet not found"));
+
+    const result = await WishlistItem.updateOne(
+      { user: req.user._id, sweet: sweet._id },
+      { $setOnInsert: { user: req.user._id, sweet: sweet._id } },
+      { upsert: true }
+    );
+    if (req.body.notify) await subscribe(req.user._id, sweet._id);
+
+    const added = result.upsertedCount > 0;
+    return res.status(added ? 201 : 200).json({ message: added ? "Added to wishlist" : "Already in wishlist" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Remove a sweet from the wishlist. Back-in-stock subscriptions are kept.
+ * DELETE /api/wishlist/:sweetId
+ */
+router.delete("/:sweetId", validate(removeWishlistSchema), async (req, res, next) => {
+  try {
+    const result = await WishlistItem.deleteOne({ user: req.user._id, sweet: req.params.sweetId });
+    if (!result.deletedCount) return next(new HttpError(404, "Sweet not in wishlist"));
+    return res.status(200).json({ message: "Removed from wishlist" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * "Notify me": one message when the sweet (or the given variant) goes from
+ * out of stock to in stock
+ * POST /api/wishlist/:sweetId/notify { variant? }
+ */
+router.post("/:sweetId/notify", validate(subscribeSchema), async (req, res, next) => {
+  try {
+    const variant = req.body.variant || null;
+    const sweet = await Sweet.findOne({ _id: req.params.sweetId, ...ACTIVE_FILTER }).select("variants._id");
+    if (!sweet) return next(new HttpError(404, "Sweet not found"));
+    if (variant && !sweet.variants.id(variant)) {
+      return next(new HttpError(404, "Variant not found", { code: "VARIANT_NOT_FOUND" }));
+    }
+
+    await subscribe(req.user._id, sweet._id, variant);
+    return res.status(200).json({ message: "We'll let you know when it's back in stock" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Cancel a pending back-in-stock subscription
+ * DELETE /api/wishlist/:sweetId/notify?variant=
+ */
+router.delete("/:sweetId/notify", validate(unsubscribeSchema), async (req, res, next) => {
+  try {
+    const result = await StockSubscription.deleteOne({
+      user: req.user._id,
+      sweet: req.params.sweetId,
+      variant: req.query.variant || null,
+      notifiedAt: null,
+    });
+    if (!result.deletedCount) return next(new HttpError(404, "No pending notification for this sweet"));
+    return res.status(200).json({ message: "Notification cancelled" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
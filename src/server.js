@@ -0,0 +1,91 @@
+// src/server.js
+// Loads .env and validates every setting first: a bad config stops startup here
+import { config } from "./config.js";
+import mongoose from "mongoose";
+import { createApp } from "./app.js";
+import { connectWithRetry, prepareDatabase } from "./db.js";
+import { startAnalyticsSchedule, stopAnalyticsSchedule } from "./utils/analytics.js";
+import { logger } from "./utils/logger.js";
+
+const { port: PORT, preStopDelayMs: PRE_STOP_DELAY_MS, shutdownTimeoutMs: SHUTDOWN_TIMEOUT_MS } = config.server;
+
+const app = createApp({ db: mongoose.connection, config });
+
+// Start the HTTP server immediately (so health endpoints and logs are available).
+// The DB connection runs in the background via connectWithRetry.
+const server = app.listen(PORT, "0.0.0.0", () => {
+  logger.info("Server listening", { url: `http://127.0.0.1:${PORT}`, env: config.env });
+});
+
+// after the first connect the driver reconnects on its own; failed connect
+// attempts also emit "disconnected", so only report losing a live connection
+let connected = false;
+mongoose.connection.on("connected", () => {
+  connected = true;
+});
+mongoose.connection.on("disconnected", () => {
+  if (connected && !app.locals.draining) logger.warn("MongoDB disconnected");
+  connected = false;
+});
+mongoose.connection.on("reconnected", () => logger.info("MongoDB reconnected"));
+
+connectWithRetry(config.mongo.uri)
+  .then(async () => {
+    await prepareDatabase();
+    if (!app.locals.draining) startAnalyticsSchedule();
+  })
+  .catch((err) => {
+    // connectWithRetry should never throw, but catch defensively
+    logger.error("Unexpected error while connecting to MongoDB", { err });
+  });
+
+/**
+ * Fail /readyz and keep serving for PRE_STOP_DELAY_MS so load balancers see
+ * the 503 and stop routing here. Then stop taking new connections, let
+ * in-flight requests finish (at most SHUTDOWN_TIMEOUT_MS, then remaining
+ * sockets are cut), and only then disconnect from MongoDB so those requests
+ * can still use it.
+ */
+const gracefulShutdown = async (signal) => {
+  if (app.locals.draining) return;
+  app.locals.draining = true;
+  logger.info("Shutting down gracefully", {
+    signal,
+    preStopDelayMs: PRE_STOP_DELAY_MS,
+    timeoutMs: SHUTDOWN_TIMEOUT_MS,
+  });
+  stopAnalyticsSchedule();
+
+  if (PRE_STOP_DELAY_MS > 0) {
+    await new Promise((resolve) => setTimeout(resolve, PRE_STOP_DELAY_MS));
+  }
+
+  const drained = new Promise((resolve) => server.close(resolve));
+  // keep-alive sockets with no request in flight would hold close() open
+  server.closeIdleConnections();
+
+  let timer;
+  const timedOut = await Promise.race([
+    drained.then(() => false),
+    new Promise((resolve) => {
+      timer = setTimeout(() => resolve(true), SHUTDOWN_TIMEOUT_MS);
+    }),
+  ]);
+  clearTimeout(timer);
+  if (timedOut) {
+    logger.warn("Requests still in flight after shutdown timeout; closing their connections");
+    server.closeAllConnections();
+  }
+  logger.info("HTTP server closed");
+
+  try {
+    await mongoose.disconnect();
+    logger.info("MongoDB disconnected");
+  } catch (err) {
+    logger.warn("Error during Mongo disconnect", { err });
+  }
+  process.exit(timedOut ? 1 : 0);
+};
+
+process.on("SIGINT", gracefulShutdown);
+process.on("SIGTERM", gracefulShutdown);
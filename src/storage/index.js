@@ -0,0 +1,31 @@
+// src/storage/index.js
+import { createLocalStorage } from "./localStorage.js";
+import { createS3Storage } from "./s3Storage.js";
+import { config } from "../config.js";
+
+/**
+ * Pluggable file storage used for sweet images.
+ *
+ * A backend is `{ name, put(key, buffer, { contentType, cacheControl }) -> { key, url }, delete(key) }`.
+ * STORAGE_DRIVER (config.storage) picks a built-in ("local", the default, or "s3");
+ * `setStorage` swaps in anything else (tests use an in-memory one).
+ */
+
+// uploaded objects never change under a key, so they can be cached forever
+export const IMMUTABLE_CACHE_CONTROL = "public, max-age=31536000, immutable";
+
+let storage = null;
+
+function fromConfig() {
+  if (config.storage.driver === "s3") return createS3Storage(config.storage.s3);
+  return createLocalStorage({ dir: config.storage.uploadDir });
+}
+
+export function getStorage() {
+  if (!storage) storage = fromConfig();
+  return storage;
+}
+
+export function setStorage(backend) {
+  storage = backend;
+}
@@ -0,0 +1,38 @@
+// src/storage/localStorage.js
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * Stores files on local disk under `dir`; app.js serves them at `publicPath`.
+ */
+export function createLocalStorage({ dir = "uploads", publicPath = "/uploads" } = {}) {
+  const root = path.resolve(dir);
+
+  // keys are generated by us, but never let one escape the upload dir
+  const resolve = (key) => {
+    const full = path.resolve(root, key);
+    if (!full.startsWith(root + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+    return full;
+  };
+
+  return {
+    name: "local",
+    root,
+    publicPath,
+
+    async put(key, buffer) {
+      const full = resolve(key);
+      await fs.mkdir(path.dirname(full), { recursive: true });
+      await fs.writeFile(full, buffer);
+      return { key, url: `${publicPath}/${key}` };
+    },
+
+    async delete(key) {
+      try {
+        await fs.unlink(resolve(key));
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+    },
+  };
+}
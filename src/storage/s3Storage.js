@@ -0,0 +1,41 @@
+// src/storage/s3Storage.js
+import { S3Client, PutObjectCommand, DeleteObjectCommand } from "@aws-sdk/client-s3";
+
+/**
+ * Stores files in an S3-compatible bucket. `endpoint` + `forcePathStyle`
+ * let it run against a local stand-in such as MinIO.
+ * `publicUrl` is the base the objects are served from (CDN or bucket URL).
+ */
+export function createS3Storage({ bucket, region = "us-east-1", endpoint, publicUrl, accessKeyId, secretAccessKey, forcePathStyle }) {
+  if (!bucket) throw new Error("S3 storage needs a bucket (S3_BUCKET)");
+
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle: forcePathStyle ?? !!endpoint,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+  });
+
+  const base = (publicUrl || (endpoint ? `${endpoint}/${bucket}` : `https://${bucket}.s3.${region}.amazonaws.com`)).replace(/\/$/, "");
+
+  return {
+    name: "s3",
+
+    async put(key, buffer, { contentType, cacheControl } = {}) {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: buffer,
+          ContentType: contentType,
+          CacheControl: cacheControl,
+        })
+      );
+      return { key, url: `${base}/${key}` };
+    },
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+}
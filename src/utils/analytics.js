@@ -0,0 +1,247 @@
+// src/utils/analytics.js
+import SaleEvent from "../models/SaleEvent.js";
+import Sweet, { ACTIVE_FILTER } from "../models/Sweet.js";
+import { roundMoney } from "./inventory.js";
+import { logger } from "./logger.js";
+import { config } from "../config.js";
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// ranking windows for /popularity
+export const WINDOWS = { "24h": DAY, "7d": 7 * DAY, "30d": 30 * DAY };
+
+const RANKING_SIZE = 50;
+const TRENDING_PER_CATEGORY = 5;
+// trending compares the last day with the daily average of the week before
+const TRENDING_RECENT_MS = DAY;
+const TRENDING_BASELINE_MS = 7 * DAY;
+
+const REFRESH_MS = config.analytics.refreshMs;
+
+const notCancelled = { cancelledAt: null };
+
+let cache = null; // { rankings: { "24h": [...], ... }, trending: [...], computedAt }
+let refreshing = null;
+let timer = null;
+
+/**
+ * Best sellers of one window: [{ sweet, units, revenue }], most units first.
+ */
+async function rankWindow(ms, now) {
+  const rows = await SaleEvent.aggregate([
+    { $match: { ...notCancelled, createdAt: { $gte: new Date(now - ms) } } },
+    { $group: { _id: "$sweet", units: { $sum: "$quantity" }, revenue: { $sum: "$revenue" } } },
+    { $sort: { units: -1, revenue: -1, _id: 1 } },
+    { $limit: RANKING_SIZE * 2 }, // headroom for archived sweets dropped later
+  ]);
+  return rows.map((r) => ({ sweet: r._id, units: r.units, revenue: roundMoney(r.revenue) }));
+}
+
+/**
+ * Per-category trending: sweets whose units per day over the last day most
+ * exceed their daily average of the week before. `velocity` is that
+ * difference; only sweets selling faster than before are listed.
+ */
+async function computeTrending(now) {
+  const recentFrom = new Date(now - TRENDING_RECENT_MS);
+  const baselineFrom = new Date(now - TRENDING_RECENT_MS - TRENDING_BASELINE_MS);
+  const rows = await SaleEvent.aggregate([
+    { $match: { ...notCancelled, createdAt: { $gte: baselineFrom } } },
+    {
+      $group: {
+        _id: "$sweet",
+        recent: { $sum: { $cond: [{ $gte: ["$createdAt", recentFrom] }, "$quantity", 0] } },
+        baseline: { $sum: { $cond: [{ $lt: ["$createdAt", recentFrom] }, "$quantity", 0] } },
+      },
+    },
+    { $match: { recent: { $gt: 0 } } },
+  ]);
+
+  const recentDays = TRENDING_RECENT_MS / DAY;
+  const baselineDays = TRENDING_BASELINE_MS / DAY;
+  return rows
+    .map((r) => {
+      const recentRate = r.recent / recentDays;
+      const baselineRate = r.baseline / baselineDays;
+      return {
+        sweet: r._id,
+        recentUnits: r.recent,
+        baselineUnitsPerDay: roundMoney(baselineRate),
+        velocity: roundMoney(recentRate - baselineRate),
+      };
+    })
+    .filter((r) => r.velocity > 0);
+}
+
+/**
+ * Attach current name/category/price to ranked rows, dropping sweets that
+ * were archived or purged since they sold.
+ */
+async function withSweets(rows) {
+  const sweets = await Sweet.find({ _id: { $in: rows.map((r) => r.sweet) }, ...ACTIVE_FILTER })
+    .select("name category price image ratingAvg ratingCount variants.price")
+    .lean();
+  const byId = new Map(sweets.map((s) => [String(s._id), s]));
+  return rows
+    .filter((r) => byId.has(String(r.sweet)))
+    .map((r) => {
+      const { variants, ...sweet } = byId.get(String(r.sweet));
+      const prices = variants && variants.length ? variants.map((v) => v.price) : [sweet.price];
+      return { ...r, sweet: { ...sweet, priceRange: { min: Math.min(...prices), max: Math.max(...prices) } } };
+    });
+}
+
+/**
+ * Recompute every ranking and the trending lists, and swap them into the
+ * cache in one go. Concurrent callers share the same run.
+ */
+export function refreshAnalytics() {
+  if (!refreshing) {
+    refreshing = (async () => {
+      const now = Date.now();
+      const rankings = {};
+      for (const [key, ms] of Object.entries(WINDOWS)) {
+        rankings[key] = (await withSweets(await rankWindow(ms, now))).slice(0, RANKING_SIZE);
+      }
+
+      const trendingRows = await withSweets(await computeTrending(now));
+      const byCategory = new Map();
+      for (const row of trendingRows.sort((a, b) => b.velocity - a.velocity)) {
+        const list = byCategory.get(row.sweet.category) || [];
+        if (list.length < TRENDING_PER_CATEGORY) list.push(row);
+        byCategory.set(row.sweet.category, list);
+      }
+      const trending = [...byCategory.entries()]
+        .map(([category, sweets]) => ({ category, sweets }))
+        .sort((a, b) => b.sweets[0].velocity - a.sweets[0].velocity);
+
+      cache = { rankings, trending, computedAt: new Date(now) };
+      return cache;
+    })().finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+}
+
+/**
+ * Cached analytics, recomputed on demand when missing or older than two
+ * refresh intervals (e.g. the scheduler isn't running).
+ */
+export async function getAnalytics() {
+  if (cache && Date.now() - cache.computedAt.getTime() < 2 * REFRESH_MS) return cache;
+  return refreshAnalytics();
+}
+
+/**
+ * Refresh the cache every ANALYTICS_REFRESH_MS (default 5 minutes).
+ * The timer doesn't keep the process alive.
+ */
+export function startAnalyticsSchedule() {
+  if (timer) return;
+  const run = () =>
+    refreshAnalytics().catch((err) => logger.warn("Analytics refresh failed", { err }));
+  run();
+  timer = setInterval(run, REFRESH_MS);
+  timer.unref();
+}
+
+export function stopAnalyticsSchedule() {
+  clearInterval(timer);
+  timer = null;
+}
+
+const REPORT_TIMEZONE = config.analytics.reportTimezone;
+
+const REPORT_GROUPS = {
+  day: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt", timezone: REPORT_TIMEZONE } },
+  sweet: "$sweet",
+  category: "$category",
+};
+
+// how far `timeZone`'s wall clock is ahead of UTC at instant `ms`
+function zoneOffset(ms, timeZone) {
+  const format = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric",
+  });
+  const p = Object.fromEntries(format.formatToParts(new Date(ms)).map(({ type, value }) => [type, Number(value)]));
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ms / 1000) * 1000;
+}
+
+const LOCAL_DATE_RE = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?$/;
+
+/**
+ * Parse a report bound. Dates and times without an offset are wall-clock
+ * time in REPORT_TIMEZONE, the zone report days are grouped in; `nextDay`
+ * moves to the start of the following day (for an inclusive bare `to`).
+ * Impossible dates give an invalid Date.
+ */
+export function parseReportDate(value, { nextDay = false, timeZone = REPORT_TIMEZONE } = {}) {
+  const m = LOCAL_DATE_RE.exec(value);
+  if (!m) return new Date(value); // Z or an explicit offset
+  const [y, mo, d, h = 0, mi = 0, sec = 0] = m.slice(1, 7).map((n) => (n === undefined ? undefined : Number(n)));
+  const ms = Number((m[7] || "0").padEnd(3, "0").slice(0, 3));
+  const date = new Date(Date.UTC(y, mo - 1, d));
+  if (date.getUTCMonth() !== mo - 1 || date.getUTCDate() !== d || h > 23 || mi > 59 || sec > 59) {
+    return new Date(NaN);
+  }
+
+  const wall = Date.UTC(y, mo - 1, d + (nextDay ? 1 : 0), h, mi, sec, ms);
+  // the offset at the guessed instant settles DST changes in between
+  const guess = wall - zoneOffset(wall, timeZone);
+  return new Date(wall - zoneOffset(guess, timeZone));
+}
+
+/**
+ * Units, gross and net revenue between `from` (inclusive) and `to`
+ * (exclusive), grouped by day, sweet or category. Rows are ordered by day,
+ * or by revenue for the other groupings.
+ */
+export async function salesReport({ from, to, groupBy = "day" }) {
+  const rows = await SaleEvent.aggregate([
+    { $match: { ...notCancelled, createdAt: { $gte: from, $lt: to } } },
+    // so $last picks the most recent name
+    { $sort: { createdAt: 1 } },
+    {
+      $group: {
+        _id: REPORT_GROUPS[groupBy],
+        name: { $last: "$name" },
+        units: { $sum: "$quantity" },
+        gross: { $sum: "$gross" },
+        revenue: { $sum: "$revenue" },
+        orders: { $addToSet: "$order" },
+        purchases: { $sum: { $cond: [{ $eq: ["$source", "purchase"] }, 1, 0] } },
+      },
+    },
+    { $sort: groupBy === "day" ? { _id: 1 } : { revenue: -1, _id: 1 } },
+  ]);
+
+  const out = rows.map((r) => {
+    const row = {};
+    if (groupBy === "day") row.date = r._id;
+    if (groupBy === "sweet") Object.assign(row, { sweet: String(r._id), name: r.name });
+    if (groupBy === "category") row.category = r._id || "Uncategorised";
+    return {
+      ...row,
+      // orders + single-item purchases
+      transactions: r.orders.filter(Boolean).length + r.purchases,
+      units: r.units,
+      gross: roundMoney(r.gross),
+      revenue: roundMoney(r.revenue),
+    };
+  });
+
+  const totals = out.reduce(
+    (t, r) => ({ units: t.units + r.units, gross: roundMoney(t.gross + r.gross), revenue: roundMoney(t.revenue + r.revenue) }),
+    { units: 0, gross: 0, revenue: 0 }
+  );
+  return { rows: out, totals };
+}
@@ -0,0 +1,36 @@
+// src/utils/backInStock.js
+import StockSubscription from "../models/StockSubscription.js";
+import { notify } from "./notifier.js";
+
+/**
+ * Notify pending subscribers that `sweet` (or one `variant` of it) is
+ * available again. Each subscription is claimed with a conditional update
+ * before sending, so concurrent restocks can't notify anyone twice.
+ */
+export async function notifyBackInStock(sweet, variant = null) {
+  const v = variant ? sweet.variants.id(variant) : null;
+  const label = v ? `${sweet.name} (${v.name || v.sku})` : sweet.name;
+
+  const pending = StockSubscription.find({ sweet: sweet._id, variant: variant || null, notifiedAt: null })
+    .populate("user", "username email disabled")
+    .cursor();
+
+  let sent = 0;
+  for await (const sub of pending) {
+    const claimed = await StockSubscription.updateOne(
+      { _id: sub._id, notifiedAt: null },
+      { $set: { notifiedAt: new Date() } }
+    );
+    if (!claimed.modifiedCount || !sub.user || sub.user.disabled) continue;
+
+    await notify({
+      type: "back_in_stock",
+      to: sub.user.email,
+      subject: `${label} is back in stock`,
+      text: `Hi ${sub.user.username}, ${label} is available again.`,
+      data: { sweet: sweet._id.toString(), variant: variant ? String(variant) : null, user: sub.user._id.toString() },
+    });
+    sent += 1;
+  }
+  return sent;
+}
@@ -0,0 +1,88 @@
+// src/utils/cartView.js
+import Sweet from "../models/Sweet.js";
+import { roundMoney } from "./inventory.js";
+import { findCouponByCode, evaluateCoupon } from "./coupons.js";
+
+/**
+ * Shape a cart for the client: each line populated from Sweet (and its
+ * variant) with a line total, plus a subtotal over the lines that can
+ * actually be bought. Deleted or archived sweets, removed variants, lines of
+ * variant sweets without a variant and lines exceeding current stock are
+ * flagged, not dropped.
+ *
+ * An applied coupon is re-checked against the purchasable lines: `discounts`
+ * lists what it takes off and `total` is the subtotal minus `discountTotal`.
+ * A coupon that no longer applies stays on the cart with `valid: false`.
+ *
+ * Used by the cart routes and by shipping quotes.
+ */
+export async function buildCartView(cart) {
+  const items = cart ? cart.items : [];
+  const ids = items.map((it) => it.item);
+  const sweets = await Sweet.find({ _id: { $in: ids } }).select(
+    "name price image category stock isActive variants weightGrams"
+  );
+  const byId = new Map(sweets.map((s) => [s._id.toString(), s]));
+
+  let subtotal = 0;
+  const lines = items.map((it) => {
+    const base = { item: it.item, variant: it.variant || null, quantity: it.quantity };
+    const sweet = byId.get(it.item.toString());
+    const variant = sweet && it.variant ? sweet.variants.id(it.variant) : null;
+    if (!sweet || (it.variant && !variant)) {
+      return {
+        ...base,
+        sweet: null,
+        unitPrice: null,
+        lineTotal: 0,
+        weightGrams: 0,
+        deleted: true,
+        archived: false,
+        needsVariant: false,
+        outOfStock: true,
+      };
+    }
+    const needsVariant = !variant && sweet.variants.length > 0;
+    const unitPrice = roundMoney(variant ? variant.price : sweet.price);
+    const lineTotal = roundMoney(unitPrice * it.quantity);
+    const archived = sweet.isActive === false;
+    const outOfStock = (variant ? variant.stock : sweet.stock) < it.quantity;
+    if (!outOfStock && !archived && !needsVariant) subtotal += lineTotal;
+    return {
+      ...base,
+      sweet: { _id: sweet._id, name: sweet.name, price: sweet.price, image: sweet.image, category: sweet.category },
+      variantInfo: variant
+        ? { _id: variant._id, sku: variant.sku, name: variant.name, attributes: Object.fromEntries(variant.attributes || []) }
+        : null,
+      unitPrice,
+      lineTotal,
+      // unit weight, for shipping; variants may override the sweet's
+      weightGrams: (variant && variant.weightGrams) ?? sweet.weightGrams ?? 0,
+      deleted: false,
+      archived,
+      needsVariant,
+      outOfStock,
+    };
+  });
+
+  let coupon = null;
+  let pricing = { discounts: [], discountTotal: 0 };
+  if (cart && cart.couponCode) {
+    const purchasable = lines
+      .filter((l) => !l.deleted && !l.archived && !l.needsVariant && !l.outOfStock)
+      .map((l) => ({ ...l, sweet: l.item, category: l.sweet.category }));
+    pricing = await evaluateCoupon(await findCouponByCode(cart.couponCode), purchasable, { user: cart.user || null });
+    coupon = { code: cart.couponCode, valid: pricing.valid, reason: pricing.reason };
+  }
+
+  return {
+    items: lines,
+    itemCount: lines.reduce((n, l) => n + l.quantity, 0),
+    subtotal: roundMoney(subtotal),
+    coupon,
+    discounts: pricing.discounts,
+    discountTotal: pricing.discountTotal,
+    total: roundMoney(subtotal - pricing.discountTotal),
+    hasUnavailableItems: lines.some((l) => l.deleted || l.archived || l.needsVariant || l.outOfStock),
+  };
+}
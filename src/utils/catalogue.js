@@ -0,0 +1,541 @@
+// src/utils/catalogue.js
+import Sweet, { ACTIVE_FILTER } from "../models/Sweet.js";
+import { adjustStock } from "./inventory.js";
+import { findCategory } from "./categories.js";
+import { invalidateVocabulary } from "./search.js";
+import { parseCsv } from "./csv.js";
+import { escapeRegex } from "./regex.js";
+import { HttpError } from "./errors.js";
+import { logger } from "./logger.js";
+
+/**
+ * Bulk catalogue export and import, shared by adminCatalogueRoutes and
+ * scripts/importCatalogue.js.
+ *
+ * JSON has one record per sweet, with a `variants` array for sweets sold
+ * per variant (their price and stock live on the variants). CSV has one row
+ * per variant, or a single row for a sweet without variants; the sweet's
+ * own columns repeat on each of its rows. Both formats import back as they
+ * were exported.
+ */
+
+const SWEET_FIELDS = ["name", "category", "description", "image", "weightGrams", "lowStockThreshold"];
+const VARIANT_FIELDS = ["name", "attributes", "price", "weightGrams"];
+
+export const CSV_COLUMNS = [
+  "name",
+  "category",
+  "description",
+  "image",
+  "weightGrams",
+  "lowStockThreshold",
+  "price",
+  "stock",
+  "sku",
+  "variantName",
+  "attributes",
+  "variantWeightGrams",
+];
+
+export const MAX_IMPORT_SWEETS = 2000;
+
+// attributes as one CSV cell: "size=large; flavour=dark"
+function formatAttributes(attributes) {
+  const entries = Object.entries(attributes instanceof Map ? Object.fromEntries(attributes) : attributes || {});
+  return entries.map(([k, v]) => `${k}=${v}`).join("; ");
+}
+
+function parseAttributes(cell) {
+  const attributes = {};
+  for (const part of cell.split(";")) {
+    if (!part.trim()) continue;
+    const eq = part.indexOf("=");
+    if (eq < 1) throw new Error(`expected key=value, got "${part.trim()}"`);
+    attributes[part.slice(0, eq).trim()] = part.slice(eq + 1).trim();
+  }
+  return attributes;
+}
+
+// ---------------------------------------------------------------- export
+
+/**
+ * The catalogue as import-ready records, sorted by name. Archived sweets
+ * are only included on request, flagged with `archived`.
+ */
+export async function exportCatalogue({ includeArchived = false } = {}) {
+  const sweets = await Sweet.find(includeArchived ? {} : ACTIVE_FILTER)
+    .select("name category description image weightGrams lowStockThreshold price stock variants isActive")
+    .sort({ name: 1, _id: 1 })
+    .lean();
+
+  return sweets.map((sweet) => {
+    const record = {
+      name: sweet.name,
+      category: sweet.category,
+      description: sweet.description,
+      image: sweet.image,
+      weightGrams: sweet.weightGrams,
+      lowStockThreshold: sweet.lowStockThreshold,
+    };
+    if (sweet.variants?.length) {
+      record.variants = sweet.variants.map((v) => ({
+        sku: v.sku,
+        name: v.name,
+        attributes: v.attributes || {},
+        price: v.price,
+        stock: v.stock,
+        weightGrams: v.weightGrams,
+      }));
+    } else {
+      record.price = sweet.price;
+      record.stock = sweet.stock;
+    }
+    if (includeArchived) record.archived = sweet.isActive === false;
+    return record;
+  });
+}
+
+/**
+ * Flatten exported records into CSV rows (see CSV_COLUMNS).
+ */
+export function catalogueCsvRows(records) {
+  const rows = [];
+  for (const record of records) {
+    const { variants, price, stock, ...sweet } = record;
+    if (!variants) {
+      rows.push({ ...sweet, price, stock });
+      continue;
+    }
+    for (const v of variants) {
+      rows.push({
+        ...sweet,
+        price: v.price,
+        stock: v.stock,
+        sku: v.sku,
+        variantName: v.name,
+        attributes: formatAttributes(v.attributes),
+        variantWeightGrams: v.weightGrams,
+      });
+    }
+  }
+  return rows;
+}
+
+// ---------------------------------------------------------------- input
+
+/**
+ * CSV text -> one entry per sweet. Rows are grouped by name (ignoring
+ * case); blank cells mean "leave unchanged".
+ */
+function entriesFromCsv(text) {
+  let parsed;
+  try {
+    parsed = parseCsv(text);
+  } catch (err) {
+    throw new HttpError(422, err.message, { code: "CSV_INVALID" });
+  }
+  if (!parsed.columns.includes("name")) {
+    throw new HttpError(422, "The CSV needs a header row with a name column", { code: "CSV_INVALID" });
+  }
+  // `archived` comes with includeArchived exports; imports don't archive or restore
+  const unknown = parsed.columns.filter((c) => !CSV_COLUMNS.includes(c) && c !== "archived");
+  if (unknown.length) {
+    throw new HttpError(422, `Unknown column(s): ${unknown.join(", ")}`, { code: "CSV_INVALID" });
+  }
+
+  const entries = [];
+  const byName = new Map();
+  for (const { line, values } of parsed.rows) {
+    const cell = (column) => {
+      const value = values[column]?.trim();
+      return value === undefined || value === "" ? undefined : value;
+    };
+    const key = cell("name")?.toLowerCase();
+    let entry = key && byName.get(key);
+    if (!entry) {
+      entry = { rows: [], errors: [], data: {}, plain: false };
+      entries.push(entry);
+      if (key) byName.set(key, entry);
+    }
+    entry.rows.push(line);
+
+    for (const field of SWEET_FIELDS) {
+      const value = cell(field);
+      if (value === undefined) continue;
+      if (entry.data[field] === undefined) entry.data[field] = value;
+      else if (field !== "name" && entry.data[field] !== value) {
+        entry.errors.push({ row: line, path: field, message: "differs from an earlier row of the same sweet" });
+      }
+    }
+
+    const sku = cell("sku");
+    if (sku) {
+      const variant = {
+        sku,
+        name: cell("variantName"),
+        price: cell("price"),
+        stock: cell("stock"),
+        weightGrams: cell("variantWeightGrams"),
+      };
+      if (cell("attributes")) {
+        try {
+          variant.attributes = parseAttributes(cell("attributes"));
+        } catch (err) {
+          entry.errors.push({ row: line, path: "attributes", message: err.message });
+        }
+      }
+      (entry.data.variants ||= []).push(variant);
+    } else {
+      if (cell("variantName") || cell("attributes") || cell("variantWeightGrams")) {
+        entry.errors.push({ row: line, path: "sku", message: "variant columns need a sku" });
+      }
+      if (entry.plain) entry.errors.push({ row: line, path: "sku", message: "a sweet without variants takes one row" });
+      entry.plain = true;
+      entry.data.price = cell("price");
+      entry.data.stock = cell("stock");
+    }
+  }
+  for (const entry of entries) {
+    if (entry.plain && entry.data.variants) {
+      entry.errors.push({ path: "sku", message: "rows with and without a sku for the same sweet" });
+    }
+  }
+  return entries;
+}
+
+/**
+ * JSON body (an array, or { sweets: [...] } as exported) -> one entry per
+ * record. `rows` holds the 1-based position; null clears optional fields.
+ */
+function entriesFromJson(body) {
+  const list = Array.isArray(body) ? body : body?.sweets;
+  if (!Array.isArray(list)) {
+    throw new HttpError(422, "Send an array of sweets or { sweets: [...] }", { code: "IMPORT_INVALID" });
+  }
+  return list.map((item, i) => {
+    const entry = { rows: [i + 1], errors: [], data: {} };
+    if (!item || typeof item !== "object" || Array.isArray(item)) {
+      entry.errors.push({ path: "", message: "must be an object" });
+      return entry;
+    }
+    for (const field of [...SWEET_FIELDS, "price", "stock"]) {
+      if (item[field] !== undefined) entry.data[field] = item[field];
+    }
+    if (item.variants !== undefined) {
+      if (!Array.isArray(item.variants) || item.variants.some((v) => !v || typeof v !== "object")) {
+        entry.errors.push({ path: "variants", message: "must be an array of objects" });
+      } else if (entry.data.price !== undefined || entry.data.stock !== undefined) {
+        entry.errors.push({ path: "variants", message: "price and stock go on the variants" });
+      } else {
+        entry.data.variants = item.variants.map((v) => ({ ...v }));
+      }
+    }
+    return entry;
+  });
+}
+
+// --------------------------------------------------------------- planning
+
+/**
+ * The existing sweet an entry refers to: the owner of its SKUs, else the
+ * sweet with the same name (ignoring case). Archived sweets match too.
+ */
+async function matchSweet(data, errors) {
+  const skus = (data.variants || []).map((v) => v.sku);
+  if (skus.length) {
+    const owners = await Sweet.find({ "variants.sku": { $in: skus } });
+    if (owners.length > 1) {
+      errors.push({ path: "sku", message: `SKUs belong to different sweets: ${owners.map((s) => s.name).join(", ")}` });
+      return null;
+    }
+    if (owners.length) return owners[0];
+  }
+  if (typeof data.name !== "string" || !data.name.trim()) return null;
+
+  const named = await Sweet.find({ name: new RegExp(`^${escapeRegex(data.name.trim())}$`, "i") }).limit(2);
+  if (named.length > 1) {
+    errors.push({ path: "name", message: `more than one sweet is called "${data.name.trim()}"; match it by SKU` });
+    return null;
+  }
+  return named[0] || null;
+}
+
+// field -> value for diffing; stock comes from `stockOf` so targets can stand in
+function snapshot(sweet, stockOf = (s) => s.stock) {
+  const fields = [];
+  for (const field of SWEET_FIELDS) fields.push({ field, value: sweet.get(field) });
+  if (sweet.variants.length) {
+    for (const v of sweet.variants) {
+      for (const field of VARIANT_FIELDS) {
+        const value = v.get(field);
+        fields.push({ field, sku: v.sku, value: field === "attributes" ? formatAttributes(value) : value });
+      }
+      fields.push({ field: "stock", sku: v.sku, value: stockOf(v) });
+    }
+  } else {
+    fields.push({ field: "price", value: sweet.price });
+    fields.push({ field: "stock", value: stockOf(sweet) });
+  }
+  return fields;
+}
+
+const fieldKey = ({ field, sku }) => (sku ? `${sku}.${field}` : field);
+
+/**
+ * Work out what importing one entry would do, without writing anything.
+ * Returns the report line plus the in-memory document and stock targets
+ * applyPlan() needs.
+ */
+async function planEntry(entry, actor) {
+  const { data, errors } = entry;
+  const plan = { rows: entry.rows, name: data.name, id: null, action: "error", changes: [], errors };
+  const variants = data.variants;
+
+  const seen = new Set();
+  for (const [i, v] of (variants || []).entries()) {
+    if (typeof v.sku !== "string" || !v.sku.trim()) {
+      errors.push({ path: `variants[${i}].sku`, message: "is required" });
+      continue;
+    }
+    v.sku = v.sku.trim().toUpperCase();
+    if (seen.has(v.sku)) errors.push({ path: "sku", message: `${v.sku} appears more than once` });
+    seen.add(v.sku);
+  }
+  if (errors.length) return plan;
+
+  const existing = await matchSweet(data, errors);
+  if (errors.length) return plan;
+
+  if (data.category !== undefined) {
+    const category = data.category === null ? null : await findCategory(data.category);
+    if (!category || !category.isActive) errors.push({ path: "category", message: `unknown category: ${data.category}` });
+    else data.category = category.name;
+  }
+  if (existing?.variants.length && (data.price !== undefined || data.stock !== undefined)) {
+    errors.push({ path: "sku", message: `${existing.name} is sold per variant; give one row per SKU` });
+  }
+  if (existing && !existing.variants.length && variants && existing.stock > 0) {
+    errors.push({ path: "sku", message: `adjust ${existing.name}'s own stock to 0 before adding variants` });
+  }
+
+  const doc = existing || new Sweet({ createdBy: actor });
+  const before = existing ? snapshot(existing) : [];
+  const targets = new Map(); // variant sku (or "" for the sweet) -> stock
+
+  for (const field of SWEET_FIELDS) {
+    if (data[field] !== undefined) doc.set(field, data[field]);
+  }
+  const setStock = (key, value, path) => {
+    if (value === undefined) return;
+    const n = Number(value);
+    if (value === null || !Number.isInteger(n) || n < 0) errors.push({ path, message: "must be a whole number >= 0" });
+    else targets.set(key, n);
+  };
+  if (variants) {
+    for (const v of variants) {
+      let variant = doc.variants.find((x) => x.sku === v.sku);
+      if (!variant) {
+        doc.variants.push({ sku: v.sku, stock: 0 });
+        variant = doc.variants[doc.variants.length - 1];
+      }
+      for (const field of VARIANT_FIELDS) {
+        if (v[field] !== undefined) variant.set(field, v[field]);
+      }
+      setStock(v.sku, v.stock, `${v.sku}.stock`);
+    }
+    const prices = doc.variants.map((v) => v.price);
+    if (prices.every((p) => typeof p === "number")) doc.price = Math.min(...prices);
+  } else {
+    if (data.price !== undefined) doc.set("price", data.price);
+    setStock("", data.stock, "stock");
+  }
+
+  const invalid = doc.validateSync();
+  for (const [path, e] of Object.entries(invalid?.errors || {})) {
+    if (path === "price" && doc.variants.length) continue; // follows the variant prices, reported there
+    const [, i, rest] = path.match(/^variants\.(\d+)\.?(.*)$/) || [];
+    errors.push({ path: i === undefined ? path : `${doc.variants[i]?.sku}.${rest || "variant"}`, message: e.message });
+  }
+
+  plan.name = doc.name;
+  if (errors.length) return plan;
+
+  const after = snapshot(doc, (s) => targets.get(s.sku || "") ?? s.stock);
+  const was = new Map(before.map((f) => [fieldKey(f), f.value]));
+  for (const f of after) {
+    const from = was.get(fieldKey(f)) ?? null;
+    const to = f.value ?? null;
+    if (from === to || (existing === null && to === null)) continue;
+    plan.changes.push(f.sku ? { sku: f.sku, field: f.field, from, to } : { field: f.field, from, to });
+  }
+
+  plan.id = doc._id;
+  plan.action = !existing ? "create" : plan.changes.length ? "update" : "unchanged";
+  plan.doc = doc;
+  plan.existing = existing;
+  plan.targets = targets;
+  return plan;
+}
+
+/**
+ * Errors that only show across entries: the same SKU, name or existing
+ * sweet claimed twice.
+ */
+function crossCheck(plans) {
+  const claims = new Map();
+  const claim = (key, plan, path, message) => {
+    const first = claims.get(key);
+    if (!first) return claims.set(key, plan);
+    if (first !== plan) plan.errors.push({ path, message: `${message} (also on row ${first.rows[0]})` });
+  };
+  for (const plan of plans) {
+    if (!plan.doc) continue;
+    claim(`id:${plan.doc._id}`, plan, "name", `${plan.doc.name} is already imported by another entry`);
+    if (!plan.existing) claim(`name:${plan.doc.name.toLowerCase()}`, plan, "name", `${plan.doc.name} appears more than once`);
+    for (const v of plan.doc.variants) claim(`sku:${v.sku}`, plan, "sku", `${v.sku} appears more than once`);
+  }
+  for (const plan of plans) {
+    if (plan.errors.length) plan.action = "error";
+  }
+}
+
+// ---------------------------------------------------------------- writing
+
+/**
+ * Write one planned create/update. Fields are $set one by one, as the
+ * routes do, so stock sold meanwhile isn't overwritten; stock is then moved
+ * to its target through the ledger.
+ */
+async function applyPlan(plan, actor) {
+  const { doc, existing, targets } = plan;
+
+  if (!existing) {
+    doc.stock = 0;
+    for (const v of doc.variants) v.stock = 0;
+    await doc.save();
+  } else {
+    const set = {};
+    const variantSets = new Map();
+    const known = new Set(existing.variants.map((v) => v.sku));
+    for (const change of plan.changes) {
+      if (change.field === "stock") continue;
+      if (!change.sku) set[change.field] = doc.get(change.field);
+      else if (known.has(change.sku)) {
+        const v = doc.variants.find((x) => x.sku === change.sku);
+        variantSets.set(v._id, { ...variantSets.get(v._id), [`variants.$.${change.field}`]: v.get(change.field) });
+      }
+    }
+    if (Object.keys(set).length) await Sweet.updateOne({ _id: doc._id }, { $set: set }, { runValidators: true });
+    for (const [variantId, variantSet] of variantSets) {
+      await Sweet.updateOne({ _id: doc._id, "variants._id": variantId }, { $set: variantSet }, { runValidators: true });
+    }
+    for (const v of doc.variants) {
+      if (known.has(v.sku)) continue;
+      await Sweet.updateOne(
+        { _id: doc._id, "variants.sku": { $ne: v.sku } },
+        { $push: { variants: { ...v.toObject(), stock: 0 } } },
+        { runValidators: true }
+      );
+    }
+    await Sweet.syncVariantPrice(doc._id);
+  }
+
+  if (!targets.size) return;
+  const current = await Sweet.findById(doc._id).select("stock variants");
+  for (const [sku, target] of targets) {
+    const variant = sku ? current.variants.find((v) => v.sku === sku) : null;
+    const delta = target - (variant ? variant.stock : current.stock);
+    if (!delta) continue;
+    await adjustStock(doc._id, delta, {
+      variant: variant?._id || null,
+      reason: existing ? "import" : "initial",
+      actor,
+      note: "catalogue import",
+    });
+  }
+}
+
+/**
+ * Import sweets from CSV text (`format: "csv"`) or parsed JSON. Each entry
+ * updates the sweet it matches (by SKU, else by name) or creates one; blank
+ * or missing fields are left as they are, and variants missing from the
+ * input are kept. Stock values are targets, reached through the ledger.
+ *
+ * Everything is validated against the Sweet schema first. With `dryRun`,
+ * or if any entry has errors, nothing is written and `applied` is false.
+ *
+ * The writes are not one transaction (standalone MongoDB has none). If one
+ * fails, the import stops there: each result says whether its entry was
+ * `applied`, and `failure` names the entry that failed, which may be partly
+ * written. Running the same input again is safe — written sweets now match
+ * and stock values are targets — and finishes the rest.
+ *
+ * Returns { dryRun, applied, failure, summary: { total, create, update,
+ * unchanged, error }, results: [{ rows, name, id, action, applied,
+ * changes, errors }] }.
+ */
+export async function importCatalogue(input, { format = "json", dryRun = false, actor = null } = {}) {
+  const entries = format === "csv" ? entriesFromCsv(input) : entriesFromJson(input);
+  if (!entries.length) throw new HttpError(422, "Nothing to import", { code: "IMPORT_INVALID" });
+  if (entries.length > MAX_IMPORT_SWEETS) {
+    throw new HttpError(422, `At most ${MAX_IMPORT_SWEETS} sweets per import`, { code: "IMPORT_INVALID" });
+  }
+
+  const plans = [];
+  for (const entry of entries) plans.push(await planEntry(entry, actor));
+  crossCheck(plans);
+
+  const summary = { total: plans.length, create: 0, update: 0, unchanged: 0, error: 0 };
+  for (const plan of plans) summary[plan.action]++;
+
+  let failure = null;
+  if (!dryRun && !summary.error) {
+    for (const plan of plans) {
+      if (plan.action !== "create" && plan.action !== "update") continue;
+      try {
+        await applyPlan(plan, actor);
+        plan.applied = true;
+      } catch (err) {
+        logger.error("Catalogue import stopped", { rows: plan.rows, name: plan.name, err });
+        failure = { rows: plan.rows, name: plan.name, message: err.message };
+        break;
+      }
+    }
+    if (plans.some((p) => p.applied)) invalidateVocabulary();
+  }
+  const applied = !dryRun && !summary.error && !failure;
+
+  const results = plans.map(({ rows, name, id, action, changes, errors, applied: written = false }) => ({
+    rows,
+    name,
+    id: action === "create" && !written ? null : id,
+    action,
+    applied: written,
+    changes,
+    errors,
+  }));
+  return { dryRun, applied, failure, summary, results };
+}
+
+/**
+ * Where an import that stopped part-way got to, as HttpError details: each
+ * create/update entry with whether it was written.
+ */
+export function importProgressDetails(report) {
+  return report.results
+    .filter((r) => r.action === "create" || r.action === "update")
+    .map((r) => {
+      let message = r.applied ? `${r.action}d` : "not applied";
+      if (r.rows[0] === report.failure.rows[0]) message = `failed, may be partly written: ${report.failure.message}`;
+      return { path: `row ${r.rows[0]}`, message };
+    });
+}
+
+/**
+ * Flatten a report's errors into HttpError details.
+ */
+export function importErrorDetails(report) {
+  return report.results.flatMap((r) =>
+    r.errors.map((e) => ({ path: `row ${e.row ?? r.rows[0]}${e.path ? `: ${e.path}` : ""}`, message: e.message }))
+  );
+}
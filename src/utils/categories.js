@@ -0,0 +1,97 @@
+// src/utils/categories.js
+import Category from "../models/Category.js";
+import Sweet from "../models/Sweet.js";
+import { HttpError } from "./errors.js";
+import { logger } from "./logger.js";
+
+// the categories that used to be a hard-coded enum on Sweet
+export const DEFAULT_CATEGORIES = ["Chocolate", "Candy", "Pastry", "Other"];
+
+// sweets created without a category go here; it can't be deleted
+export const FALLBACK_SLUG = "other";
+
+/**
+ * "Indian Mithai" -> "indian-mithai", "Sugar-free!" -> "sugar-free"
+ */
+export function slugify(name) {
+  return String(name)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Find a category by slug or exact name.
+ */
+export function findCategory(value) {
+  return Category.findOne({ $or: [{ slug: slugify(value) }, { name: String(value).trim() }] });
+}
+
+/**
+ * Turn the category given for a sweet into the name to store on it. Only
+ * active categories can be given; no value means the fallback category.
+ */
+export async function resolveSweetCategory(value) {
+  const category = await findCategory(value ?? FALLBACK_SLUG);
+  if (!category || !category.isActive) {
+    throw new HttpError(422, "Request validation failed", {
+      details: [{ path: "body.category", message: `unknown category: ${value}` }],
+    });
+  }
+  return category.name;
+}
+
+/**
+ * Ids of `root` and every category below it.
+ */
+export async function descendantIds(root) {
+  const ids = [root._id];
+  let frontier = [root._id];
+  while (frontier.length) {
+    const children = await Category.find({ parent: { $in: frontier } }).select("_id").lean();
+    frontier = children.map((c) => c._id).filter((id) => !ids.some((seen) => seen.equals(id)));
+    ids.push(...frontier);
+  }
+  return ids;
+}
+
+/**
+ * Condition on Sweet.category for ?category=: the category and all its
+ * subcategories. Values that match no category are compared as-is.
+ */
+export async function categoryCondition(value) {
+  const category = await findCategory(value);
+  if (!category) return value;
+  const ids = await descendantIds(category);
+  const names = await Category.find({ _id: { $in: ids } }).distinct("name");
+  return { $in: names };
+}
+
+/**
+ * Create Category documents for the old enum values and for every string
+ * category already used by a sweet. Idempotent; runs after connecting.
+ */
+export async function migrateCategories() {
+  const used = await Sweet.distinct("category");
+  const names = [...new Set([...DEFAULT_CATEGORIES, ...used.filter(Boolean)])];
+
+  let created = 0;
+  for (const [order, name] of names.entries()) {
+    const slug = slugify(name) || `category-${order}`;
+    try {
+      const res = await Category.updateOne(
+        { $or: [{ slug }, { name }] },
+        { $setOnInsert: { name, slug, order } },
+        { upsert: true }
+      );
+      created += res.upsertedCount;
+    } catch (err) {
+      // e.g. "Sugar free" and "Sugar-free" share a slug; leave it for an admin
+      if (err.code !== 11000) throw err;
+      logger.warn("Category not migrated: slug is taken", { category: name, slug });
+    }
+  }
+  if (created) logger.info("Migrated categories", { count: created });
+}
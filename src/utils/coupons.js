@@ -0,0 +1,132 @@
+// src/utils/coupons.js
+import Coupon from "../models/Coupon.js";
+import CouponUsage from "../models/CouponUsage.js";
+import { HttpError } from "./errors.js";
+import { roundMoney } from "./inventory.js";
+import { categoryCondition } from "./categories.js";
+
+export function normalizeCouponCode(code) {
+  return String(code || "").trim().toUpperCase();
+}
+
+export function findCouponByCode(code) {
+  return Coupon.findOne({ code: normalizeCouponCode(code) });
+}
+
+function describe(coupon) {
+  if (coupon.description) return coupon.description;
+  if (coupon.type === "percent") return `${coupon.value}% off`;
+  if (coupon.type === "fixed") return `${coupon.value} off`;
+  return "Free item";
+}
+
+// predicate for lines the coupon's scope covers
+async function scopeMatcher(coupon) {
+  const sweets = new Set(coupon.scope.sweets.map(String));
+  const categories = new Set();
+  for (const name of coupon.scope.categories) {
+    const cond = await categoryCondition(name);
+    for (const n of typeof cond === "string" ? [cond] : cond.$in) categories.add(n);
+  }
+  if (!sweets.size && !categories.size) return () => true;
+  return (line) => sweets.has(String(line.sweet)) || categories.has(line.category);
+}
+
+/**
+ * Work out what `coupon` takes off `lines`, the purchasable lines of a cart
+ * or order: [{ sweet, variant, category, unitPrice, quantity, lineTotal }].
+ *
+ * Returns { valid, reason, discounts, discountTotal }. An invalid coupon
+ * gives no discount and `reason` says why. Passing `user` also checks the
+ * per-user limit. The discount never exceeds the subtotal.
+ */
+export async function evaluateCoupon(coupon, lines, { user = null, now = new Date() } = {}) {
+  const none = (reason) => ({ valid: false, reason, discounts: [], discountTotal: 0 });
+
+  if (!coupon) return none("Unknown coupon code");
+  if (!coupon.isActive) return none("This coupon is no longer active");
+  if (coupon.startsAt && coupon.startsAt > now) return none("This coupon is not valid yet");
+  if (coupon.endsAt && coupon.endsAt <= now) return none("This coupon has expired");
+  if (coupon.maxUses !== null && coupon.usedCount >= coupon.maxUses) return none("This coupon has been used up");
+  if (user && coupon.maxUsesPerUser !== null) {
+    const usage = await CouponUsage.findOne({ coupon: coupon._id, user }).select("count").lean();
+    if (usage && usage.count >= coupon.maxUsesPerUser) return none("You have already used this coupon");
+  }
+
+  const subtotal = roundMoney(lines.reduce((sum, l) => sum + l.lineTotal, 0));
+  if (subtotal < coupon.minSubtotal) return none(`Requires a subtotal of at least ${coupon.minSubtotal}`);
+
+  let amount;
+  if (coupon.type === "free_item") {
+    const { sweet, variant, quantity } = coupon.freeItem;
+    const line = lines.find(
+      (l) => String(l.sweet) === String(sweet) && (!variant || String(l.variant) === String(variant))
+    );
+    if (!line) return none("Add the free item to your cart to use this coupon");
+    amount = line.unitPrice * Math.min(quantity, line.quantity);
+  } else {
+    const inScope = await scopeMatcher(coupon);
+    const eligible = roundMoney(lines.filter(inScope).reduce((sum, l) => sum + l.lineTotal, 0));
+    if (!eligible) return none("No items in your cart qualify for this coupon");
+    amount = coupon.type === "percent" ? (eligible * coupon.value) / 100 : Math.min(coupon.value, eligible);
+  }
+
+  const discountTotal = roundMoney(Math.min(amount, subtotal));
+  return {
+    valid: true,
+    reason: null,
+    discounts: [{ code: coupon.code, description: describe(coupon), amount: discountTotal }],
+    discountTotal,
+  };
+}
+
+/**
+ * Count one use of `coupon` by `user`, enforcing both limits atomically so
+ * two racing checkouts can't both take the last use.
+ *
+ * The per-user count is an upsert filtered on `count < maxUsesPerUser`: once
+ * the limit is reached the filter misses, the upsert collides with the
+ * unique (coupon, user) index and we answer 409. The global count is a
+ * conditional $inc on the coupon itself. Throws HttpError 409
+ * COUPON_LIMIT_REACHED when either limit is hit.
+ */
+export async function claimCoupon(coupon, user) {
+  const filter = { coupon: coupon._id, user };
+  if (coupon.maxUsesPerUser !== null) filter.count = { $lt: coupon.maxUsesPerUser };
+
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      await CouponUsage.updateOne(filter, { $inc: { count: 1 } }, { upsert: true });
+      break;
+    } catch (err) {
+      // the first use by this user may race another first use; retry once as an update
+      if (err.code !== 11000) throw err;
+      if (attempt === 2) {
+        throw new HttpError(409, "You have already used this coupon", { code: "COUPON_LIMIT_REACHED" });
+      }
+    }
+  }
+
+  const claimed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      isActive: true,
+      $or: [{ maxUses: null }, { $expr: { $lt: ["$usedCount", "$maxUses"] } }],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+  if (!claimed) {
+    await CouponUsage.updateOne({ coupon: coupon._id, user, count: { $gt: 0 } }, { $inc: { count: -1 } });
+    throw new HttpError(409, "This coupon has been used up", { code: "COUPON_LIMIT_REACHED" });
+  }
+  return claimed;
+}
+
+/**
+ * Give back a use taken by claimCoupon (failed checkout, cancelled order).
+ */
+export async function releaseCoupon(couponId, user) {
+  await Coupon.updateOne({ _id: couponId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+  await CouponUsage.updateOne({ coupon: couponId, user, count: { $gt: 0 } }, { $inc: { count: -1 } });
+}
@@ -0,0 +1,89 @@
+// src/utils/csv.js
+
+/**
+ * Quote a value for CSV (RFC 4180). Values a spreadsheet would run as a
+ * formula (=, +, -, @) get a leading apostrophe.
+ */
+function cell(value) {
+  if (value === null || value === undefined) return "";
+  let s = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@]/.test(s) && Number.isNaN(Number(s))) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * rows: array of objects; columns: keys to write, in order (header row).
+ */
+export function toCsv(rows, columns) {
+  const lines = [columns.map(cell).join(",")];
+  for (const row of rows) lines.push(columns.map((c) => cell(row[c])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+// undo cell()'s formula guard so exported files import unchanged
+function uncell(s) {
+  return /^'[=+\-@]/.test(s) && Number.isNaN(Number(s.slice(1))) ? s.slice(1) : s;
+}
+
+/**
+ * Parse RFC 4180 CSV (quoted fields, "" escapes, CRLF or LF, line breaks
+ * inside quotes). The first record is the header; blank lines are skipped.
+ * Returns { columns, rows: [{ line, values }] } where `line` is the line the
+ * record starts on and `values` maps each column to its (string) cell.
+ * Throws on an unterminated quote or a row with more cells than columns.
+ */
+export function parseCsv(text) {
+  const s = String(text).replace(/^\uFEFF/, "");
+  const records = [];
+  let cells = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+
+  const endRecord = () => {
+    cells.push(uncell(field));
+    if (cells.length > 1 || cells[0] !== "") records.push({ line: start, cells });
+    cells = [];
+    field = "";
+  };
+
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (quoted) {
+      if (ch === '"' && s[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === "\n") line++;
+        field += ch;
+      }
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === ",") {
+      cells.push(uncell(field));
+      field = "";
+    } else if (ch === "\r" || ch === "\n") {
+      if (ch === "\r" && s[i + 1] === "\n") i++;
+      endRecord();
+      start = ++line;
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) throw new Error(`Unterminated quoted field starting on line ${start}`);
+  if (field !== "" || cells.length) endRecord();
+
+  const [header, ...body] = records;
+  if (!header) return { columns: [], rows: [] };
+  const columns = header.cells.map((c) => c.trim());
+  const rows = body.map(({ line: at, cells: values }) => {
+    if (values.length > columns.length) {
+      throw new Error(`Line ${at} has ${values.length} fields but the header has ${columns.length}`);
+    }
+    return { line: at, values: Object.fromEntries(columns.map((c, i) => [c, values[i] ?? ""])) };
+  });
+  return { columns, rows };
+}
@@ -0,0 +1,34 @@
+// src/utils/errors.js
+
+const DEFAULT_CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  415: "UNSUPPORTED_MEDIA_TYPE",
+  422: "VALIDATION_FAILED",
+  423: "LOCKED",
+  429: "TOO_MANY_REQUESTS",
+  500: "INTERNAL_ERROR",
+  503: "SERVICE_UNAVAILABLE",
+};
+
+/**
+ * An error that maps directly onto an HTTP response. Routes `next()` (or
+ * throw, inside their try) one of these; the central handler in
+ * middleware/errorHandler.js renders it as
+ * `{ error: { code, message, details } }`.
+ */
+export class HttpError extends Error {
+  constructor(status, message, { code, details } = {}) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.code = code || DEFAULT_CODES[status] || "ERROR";
+    this.details = details || [];
+  }
+}
+
+export const defaultCodeFor = (status) => DEFAULT_CODES[status] || "ERROR";
@@ -0,0 +1,80 @@
+// src/utils/guestCart.js
+import crypto from "crypto";
+import Cart from "../models/Cart.js";
+import Sweet, { ACTIVE_FILTER } from "../models/Sweet.js";
+
+/**
+ * Only the sha256 of a cart token is stored, so a leaked DB dump can't be
+ * used to take over guest carts.
+ */
+export function hashCartToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * Create an empty guest cart and return the plain token for the client.
+ */
+export async function issueGuestCart(items = []) {
+  const token = crypto.randomBytes(24).toString("base64url");
+  const cart = await Cart.create({ guestTokenHash: hashCartToken(token), items });
+  return { token, cart };
+}
+
+/**
+ * Merge a guest cart into the user's cart, then delete the guest cart.
+ *
+ * Merge policy, per sweet and variant:
+ * - quantities from both carts are summed,
+ * - the sum is capped at the sweet's (or variant's) current stock, but never
+ *   below what the user's cart already held,
+ * - guest lines for deleted, archived or sold-out sweets are dropped, as are
+ *   lines whose variant is gone or that lack one on a variant sweet,
+ * - the guest's coupon is kept unless the user's cart already has one.
+ *
+ * Returns null when the token matches no guest cart, otherwise
+ * { merged, dropped } counts of guest lines.
+ */
+export async function mergeGuestCart(userId, token) {
+  if (!token) return null;
+  const guest = await Cart.findOne({ guestTokenHash: hashCartToken(token) });
+  if (!guest) return null;
+
+  let cart = await Cart.findOne({ user: userId });
+  if (!cart) cart = new Cart({ user: userId, items: [] });
+
+  const ids = guest.items.map((it) => it.item);
+  const sweets = await Sweet.find({ _id: { $in: ids }, ...ACTIVE_FILTER }).select("stock variants._id variants.stock");
+  const byId = new Map(sweets.map((s) => [s._id.toString(), s]));
+  const stockOf = (line) => {
+    const sweet = byId.get(line.item.toString());
+    if (!sweet) return 0;
+    if (!line.variant) return sweet.variants.length ? 0 : sweet.stock;
+    const variant = sweet.variants.id(line.variant);
+    return variant ? variant.stock : 0;
+  };
+  const sameLine = (a, b) =>
+    a.item.equals(b.item) && (a.variant && b.variant ? a.variant.equals(b.variant) : !a.variant && !b.variant);
+
+  let merged = 0;
+  let dropped = 0;
+  for (const gl of guest.items) {
+    const stock = stockOf(gl);
+    const line = cart.items.find((it) => sameLine(it, gl));
+    const current = line ? line.quantity : 0;
+    const quantity = Math.max(current, Math.min(current + gl.quantity, stock || 0));
+
+    if (quantity <= current) {
+      dropped += 1;
+      continue;
+    }
+    if (line) line.quantity = quantity;
+    else cart.items.push({ item: gl.item, variant: gl.variant || null, quantity });
+    merged += 1;
+  }
+
+  if (guest.couponCode && !cart.couponCode) cart.couponCode = guest.couponCode;
+
+  await cart.save();
+  await guest.deleteOne();
+  return { merged, dropped };
+}
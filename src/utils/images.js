@@ -0,0 +1,98 @@
+// src/utils/images.js
+import crypto from "crypto";
+import sharp from "sharp";
+import { getStorage, IMMUTABLE_CACHE_CONTROL } from "../storage/index.js";
+import { HttpError } from "./errors.js";
+import { logger } from "./logger.js";
+
+export const THUMBNAIL_SIZE = 300;
+
+const FORMATS = {
+  jpeg: { ext: "jpg", contentType: "image/jpeg" },
+  png: { ext: "png", contentType: "image/png" },
+  webp: { ext: "webp", contentType: "image/webp" },
+  gif: { ext: "gif", contentType: "image/gif" },
+};
+
+/**
+ * Decode an uploaded file to prove it really is an image (the declared
+ * mimetype is just a claim) and build its thumbnail.
+ */
+async function prepare(file) {
+  let meta;
+  try {
+    meta = await sharp(file.buffer).metadata();
+  } catch (err) {
+    meta = null;
+  }
+  const format = meta && FORMATS[meta.format];
+  if (!format) {
+    throw new HttpError(422, `${file.originalname} is not a valid image`, {
+      details: [{ path: file.fieldname, message: "could not be decoded as jpeg, png, webp or gif" }],
+    });
+  }
+
+  const thumbnail = await sharp(file.buffer)
+    .rotate() // honour EXIF orientation
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: "inside", withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer();
+
+  return { format, meta, thumbnail };
+}
+
+/**
+ * Validate and store uploaded files for a sweet. Returns image subdocuments
+ * for Sweet.images. If anything fails, files already written are removed.
+ */
+export async function storeSweetImages(sweetId, files) {
+  const prepared = [];
+  for (const file of files) prepared.push({ file, ...(await prepare(file)) });
+
+  const storage = getStorage();
+  const written = [];
+  try {
+    const images = [];
+    for (const { file, format, meta, thumbnail } of prepared) {
+      const base = `sweets/${sweetId}/${crypto.randomUUID()}`;
+      const original = await storage.put(`${base}.${format.ext}`, file.buffer, {
+        contentType: format.contentType,
+        cacheControl: IMMUTABLE_CACHE_CONTROL,
+      });
+      written.push(original.key);
+      const thumb = await storage.put(`${base}_thumb.webp`, thumbnail, {
+        contentType: "image/webp",
+        cacheControl: IMMUTABLE_CACHE_CONTROL,
+      });
+      written.push(thumb.key);
+
+      images.push({
+        key: original.key,
+        url: original.url,
+        thumbnailKey: thumb.key,
+        thumbnailUrl: thumb.url,
+        contentType: format.contentType,
+        size: file.size,
+        width: meta.width,
+        height: meta.height,
+      });
+    }
+    return images;
+  } catch (err) {
+    await Promise.allSettled(written.map((key) => storage.delete(key)));
+    throw err;
+  }
+}
+
+/**
+ * Remove the stored files of image subdocuments. Best effort: a missing
+ * file must not block deleting the record.
+ */
+export async function deleteImageFiles(images = []) {
+  const storage = getStorage();
+  const keys = images.flatMap((img) => [img.key, img.thumbnailKey]).filter(Boolean);
+  const results = await Promise.allSettled(keys.map((key) => storage.delete(key)));
+  results
+    .filter((r) => r.status === "rejected")
+    .forEach((r) => logger.warn("Failed to delete stored image", { err: r.reason }));
+}
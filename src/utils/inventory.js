@@ -0,0 +1,225 @@
+// src/utils/inventory.js
+import Sweet, { ACTIVE_FILTER } from "../models/Sweet.js";
+import StockMovement from "../models/StockMovement.js";
+import StockAlert from "../models/StockAlert.js";
+import { HttpError } from "./errors.js";
+import { notify } from "./notifier.js";
+import { notifyBackInStock } from "./backInStock.js";
+import { stockMovements, unitsSold } from "./metrics.js";
+import { logger } from "./logger.js";
+import { config } from "../config.js";
+
+const DEFAULT_LOW_STOCK_THRESHOLD = config.inventory.lowStockThreshold;
+
+/**
+ * Round a currency amount to 2 decimals.
+ */
+export function roundMoney(n) {
+  return Math.round(Number(n) * 100) / 100;
+}
+
+export function lowStockThreshold(sweet) {
+  return sweet.lowStockThreshold ?? DEFAULT_LOW_STOCK_THRESHOLD;
+}
+
+/**
+ * Open an alert when stock has just dropped to the threshold, resolve open
+ * alerts once it is back above it.
+ */
+async function checkLowStock(sweet, before) {
+  const threshold = lowStockThreshold(sweet);
+  const after = sweet.stock;
+
+  if (after > threshold) {
+    if (before <= threshold) {
+      await StockAlert.updateMany(
+        { sweet: sweet._id, status: { $in: ["open", "acknowledged"] } },
+        { $set: { status: "resolved", resolvedAt: new Date() } }
+      );
+    }
+    return;
+  }
+  if (before <= threshold) return; // already low, alert exists
+
+  try {
+    await StockAlert.create({ sweet: sweet._id, threshold, stock: after });
+  } catch (err) {
+    if (err.code === 11000) return; // another request raised it first
+    throw err;
+  }
+  await notify({
+    type: "low_stock",
+    subject: `Low stock: ${sweet.name} (${after} left)`,
+    text: `${sweet.name} is at ${after} item(s), threshold ${threshold}.`,
+    data: { sweet: sweet._id.toString(), stock: after, threshold },
+  });
+}
+
+/**
+ * Tell back-in-stock subscribers without holding up the stock change: the
+ * change and its ledger entry are already written, so a slow or failing
+ * send is only logged.
+ */
+function notifyBackInStockLater(sweet, variant = null) {
+  notifyBackInStock(sweet, variant).catch((err) =>
+    logger.error("Back-in-stock notification failed", {
+      sweet: sweet._id.toString(),
+      variant: variant ? String(variant) : null,
+      err,
+    })
+  );
+}
+
+/**
+ * The only way stock changes. Applies `delta` atomically, appends a
+ * StockMovement with before/after values and checks low-stock alerts.
+ *
+ * Decrements are guarded by `stock: { $gte: -delta }` so stock never goes
+ * negative; the guard failing (or the sweet not existing) returns null.
+ * `purchased` also moves the popularity counter; a sale (`purchased > 0`)
+ * additionally requires the sweet not to be archived.
+ *
+ * Sweets with variants only move stock per `variant`: the variant's stock
+ * and the sweet's total change together, and the guard applies to the
+ * variant. Without `variant` such sweets also return null — see
+ * stockFailure() for telling the cases apart.
+ *
+ * Taking an active sweet (or variant) from 0 to above 0 notifies its
+ * back-in-stock subscribers (see utils/backInStock.js) in the background.
+ */
+export async function adjustStock(
+  sweetId,
+  delta,
+  { variant = null, reason, actor = null, order = null, note, purchased = 0 } = {}
+) {
+  const filter = { _id: sweetId };
+  const inc = { stock: delta };
+  if (variant) {
+    filter.variants = { $elemMatch: delta < 0 ? { _id: variant, stock: { $gte: -delta } } : { _id: variant } };
+    inc["variants.$.stock"] = delta;
+  } else {
+    filter["variants.0"] = { $exists: false };
+    if (delta < 0) filter.stock = { $gte: -delta };
+  }
+  if (purchased > 0) Object.assign(filter, ACTIVE_FILTER);
+  if (purchased) inc.purchasedCount = purchased;
+
+  const sweet = await Sweet.findOneAndUpdate(filter, { $inc: inc }, { new: true });
+  if (!sweet) return null;
+
+  const before = sweet.stock - delta;
+  await StockMovement.create({
+    sweet: sweet._id,
+    variant,
+    sku: variant ? sweet.variants.id(variant)?.sku : undefined,
+    delta,
+    before,
+    after: sweet.stock,
+    reason,
+    actor,
+    order,
+    note,
+  });
+  stockMovements.inc({ reason });
+  if (purchased > 0) unitsSold.inc(purchased);
+  await checkLowStock(sweet, before);
+
+  // a rolled-back reservation only undoes a dip that never reached customers
+  if (delta > 0 && sweet.isActive !== false && reason !== "checkout_rollback") {
+    if (before <= 0) notifyBackInStockLater(sweet);
+    const v = variant ? sweet.variants.id(variant) : null;
+    if (v && v.stock - delta <= 0) notifyBackInStockLater(sweet, variant);
+  }
+  return sweet;
+}
+
+/**
+ * Explain why adjustStock() returned null, as the HttpError to send.
+ * `sale` reports archived sweets, which only refuse sales.
+ */
+export async function stockFailure(sweetId, { variant = null, sale = false } = {}) {
+  const sweet = await Sweet.findById(sweetId).select("name stock isActive variants");
+  if (!sweet) return new HttpError(404, "Sweet not found");
+  if (sale && sweet.isActive === false) {
+    return new HttpError(409, `${sweet.name} is no longer available`, { code: "SWEET_ARCHIVED" });
+  }
+
+  let label = sweet.name;
+  let available = sweet.stock;
+  if (variant) {
+    const v = sweet.variants.id(variant);
+    if (!v) return new HttpError(404, `Variant not found for ${sweet.name}`, { code: "VARIANT_NOT_FOUND" });
+    label = `${sweet.name} (${v.name || v.sku})`;
+    available = v.stock;
+  } else if (sweet.variants.length) {
+    return new HttpError(400, `Choose a variant of ${sweet.name}`, { code: "VARIANT_REQUIRED" });
+  }
+
+  return new HttpError(400, `Insufficient stock for ${label}. Only ${available} item(s) available.`, {
+    code: "INSUFFICIENT_STOCK",
+    details: [{ path: String(variant || sweetId), message: `only ${available} available` }],
+  });
+}
+
+/**
+ * Return previously reserved stock. Used for rollback and for cancellations.
+ * Lines whose sweet was purged or whose variant was removed can't be put
+ * back; they are logged so the missing ledger entry can be traced.
+ * lines: [{ sweet: ObjectId, variant?: ObjectId, quantity }]
+ */
+export async function releaseStock(lines = [], { reason = "checkout_rollback", actor = null, order = null } = {}) {
+  for (const line of lines) {
+    const sweet = await adjustStock(line.sweet, line.quantity, {
+      variant: line.variant || null,
+      reason,
+      actor,
+      order,
+      purchased: -line.quantity,
+    });
+    if (!sweet) {
+      logger.warn("Stock not returned: sweet or variant no longer exists", {
+        order: order && String(order),
+        sweet: String(line.sweet),
+        variant: line.variant ? String(line.variant) : null,
+        quantity: line.quantity,
+        reason,
+      });
+    }
+  }
+}
+
+/**
+ * Reserve stock for several lines, all-or-nothing.
+ *
+ * Each line is decremented with the same `stock: { $gte: qty }` guard the
+ * single-item purchase route uses. If any line fails, every line reserved so
+ * far is put back before the error is thrown, so a standalone Mongo (no
+ * transactions) still ends up consistent.
+ *
+ * lines: [{ sweet: ObjectId, variant?: ObjectId, quantity }]
+ * Returns the updated Sweet docs in the same order as `lines`.
+ */
+export async function reserveStock(lines = [], { actor = null, order = null } = {}) {
+  const reserved = [];
+  try {
+    const sweets = [];
+    for (const line of lines) {
+      const sweet = await adjustStock(line.sweet, -line.quantity, {
+        variant: line.variant || null,
+        reason: "checkout",
+        actor,
+        order,
+        purchased: line.quantity,
+      });
+
+      if (!sweet) throw await stockFailure(line.sweet, { variant: line.variant, sale: true });
+
+      reserved.push({ sweet: sweet._id, variant: line.variant || null, quantity: line.quantity });
+      sweets.push(sweet);
+    }
+    return sweets;
+  } catch (err) {
+    await releaseStock(reserved, { actor, order });
+    throw err;
+  }
+}
@@ -0,0 +1,55 @@
+// src/utils/logger.js
+import { config } from "../config.js";
+
+/**
+ * Structured logger: one JSON object per line on stdout (warn and error on
+ * stderr), e.g.
+ *
+ *   {"time":"...","level":"info","msg":"MongoDB connected","attempt":1}
+ *
+ *   logger.info("Order placed", { order: order._id });
+ *   logger.error("Checkout failed", { err });   // errors are serialized with their stack
+ *   const log = logger.child({ requestId });     // fields added to every line
+ *
+ * LOG_LEVEL is debug, info (default), warn, error or silent. LOG_FORMAT
+ * "pretty" (the development default) prints "time LEVEL msg {fields}".
+ */
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const threshold = LEVELS[config.log.level];
+const pretty = config.log.format === "pretty";
+
+function serializeError(err) {
+  if (!(err instanceof Error)) return err;
+  const out = { name: err.name, message: err.message, stack: err.stack };
+  if (err.code !== undefined) out.code = err.code;
+  if (err.status !== undefined) out.status = err.status;
+  return out;
+}
+
+function write(level, bindings, msg, fields = {}) {
+  if (LEVELS[level] < threshold) return;
+  const entry = { time: new Date().toISOString(), level, msg, ...bindings };
+  for (const [key, value] of Object.entries(fields)) entry[key] = serializeError(value);
+
+  let line;
+  if (pretty) {
+    const { time, level: lvl, msg: text, ...rest } = entry;
+    line = `${time} ${lvl.toUpperCase().padEnd(5)} ${text}${Object.keys(rest).length ? ` ${JSON.stringify(rest)}` : ""}`;
+  } else {
+    line = JSON.stringify(entry);
+  }
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + "\n");
+}
+
+function createLogger(bindings = {}) {
+  return {
+    debug: (msg, fields) => write("debug", bindings, msg, fields),
+    info: (msg, fields) => write("info", bindings, msg, fields),
+    warn: (msg, fields) => write("warn", bindings, msg, fields),
+    error: (msg, fields) => write("error", bindings, msg, fields),
+    child: (more) => createLogger({ ...bindings, ...more }),
+  };
+}
+
+export const logger = createLogger();
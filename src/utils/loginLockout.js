@@ -0,0 +1,68 @@
+// src/utils/loginLockout.js
+import User from "../models/User.js";
+import { config } from "../config.js";
+
+/**
+ * Per-account lockout after repeated failed logins. Every `lockThreshold`
+ * consecutive failures lock the account; each lock lasts twice as long as
+ * the previous one (`lockBaseMs`, capped at `lockMaxMs`; see config.auth).
+ * A failure more than `failureWindowMs` after the previous one counts from
+ * 1 again, so occasional typos never add up to a lock. A successful login
+ * or an admin unlock starts over.
+ */
+const {
+  lockThreshold: THRESHOLD,
+  failureWindowMs: WINDOW_MS,
+  lockBaseMs: BASE_MS,
+  lockMaxMs: MAX_MS,
+} = config.auth;
+
+export function lockDuration(lockCount) {
+  return Math.min(MAX_MS, BASE_MS * 2 ** lockCount);
+}
+
+/**
+ * Milliseconds until `user` may try again; 0 if not locked.
+ */
+export function lockRemainingMs(user) {
+  if (!user.lockedUntil) return 0;
+  return Math.max(0, user.lockedUntil.getTime() - Date.now());
+}
+
+/**
+ * Count a failed login. Returns the lock end when this failure locked the
+ * account, otherwise null.
+ */
+export async function recordLoginFailure(userId) {
+  const now = new Date();
+  const recent = { $gte: ["$lastFailedLoginAt", new Date(now.getTime() - WINDOW_MS)] };
+  // one pipeline update, so concurrent failures can't lose a count
+  const user = await User.findByIdAndUpdate(
+    userId,
+    [
+      {
+        $set: {
+          failedLoginCount: { $cond: [recent, { $add: [{ $ifNull: ["$failedLoginCount", 0] }, 1] }, 1] },
+          lastFailedLoginAt: now,
+        },
+      },
+    ],
+    { new: true, projection: "failedLoginCount lockCount" }
+  );
+  if (!user || user.failedLoginCount < THRESHOLD) return null;
+
+  // only the request that crossed the threshold applies the lock
+  const lockedUntil = new Date(Date.now() + lockDuration(user.lockCount));
+  const res = await User.updateOne(
+    { _id: userId, failedLoginCount: { $gte: THRESHOLD } },
+    { $set: { failedLoginCount: 0, lockedUntil }, $inc: { lockCount: 1 } }
+  );
+  return res.modifiedCount ? lockedUntil : null;
+}
+
+export async function clearLoginFailures(userId) {
+  await User.updateOne(
+    { _id: userId, $or: [{ failedLoginCount: { $gt: 0 } }, { lockCount: { $gt: 0 } }, { lockedUntil: { $ne: null } }] },
+    { $set: { failedLoginCount: 0, lockCount: 0, lockedUntil: null } }
+  );
+}
@@ -0,0 +1,40 @@
+// src/utils/mailer.js
+import fs from "fs/promises";
+import path from "path";
+import { config } from "../config.js";
+
+/**
+ * Pluggable outgoing mail.
+ *
+ * A transport is any object with `async send({ to, subject, text })`.
+ * Built-ins, chosen by MAIL_TRANSPORT (config.mail):
+ * - "console" (default): prints the message — handy in local dev
+ * - "file": writes one .eml-ish text file per message into MAIL_DIR
+ * Production setups register their own with `setMailTransport`.
+ */
+const transports = {
+  console: {
+    async send({ to, subject, text }) {
+      console.log(`📧 Mail to ${to}: ${subject}\n${text}`);
+    },
+  },
+  file: {
+    async send({ to, subject, text }) {
+      const dir = config.mail.dir;
+      await fs.mkdir(dir, { recursive: true });
+      const name = `${Date.now()}-${String(to).replace(/[^a-zA-Z0-9@._-]/g, "_")}.txt`;
+      await fs.writeFile(path.join(dir, name), `To: ${to}\nSubject: ${subject}\n\n${text}\n`);
+    },
+  },
+};
+
+let active = null;
+
+export function setMailTransport(transport) {
+  active = transport;
+}
+
+export async function sendMail(message) {
+  const transport = active || transports[config.mail.transport];
+  return transport.send(message);
+}
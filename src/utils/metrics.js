@@ -0,0 +1,81 @@
+// src/utils/metrics.js
+import client from "prom-client";
+
+/**
+ * Prometheus metrics, served at GET /metrics. HTTP metrics are recorded by
+ * `httpMetrics`; business counters are bumped where the events happen.
+ */
+export const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: "sweetify_" });
+
+const httpDuration = new client.Histogram({
+  name: "sweetify_http_request_duration_seconds",
+  help: "HTTP request latency",
+  labelNames: ["method", "route", "status"],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry],
+});
+
+const httpRequests = new client.Counter({
+  name: "sweetify_http_requests_total",
+  help: "HTTP responses by status",
+  labelNames: ["method", "route", "status"],
+  registers: [registry],
+});
+
+let dbState = () => false;
+
+new client.Gauge({
+  name: "sweetify_db_connected",
+  help: "1 while the API is connected to MongoDB",
+  registers: [registry],
+  collect() {
+    this.set(dbState() ? 1 : 0);
+  },
+});
+
+export const stockMovements = new client.Counter({
+  name: "sweetify_stock_movements_total",
+  help: "Stock movements by reason (purchase, restock, checkout, ...)",
+  labelNames: ["reason"],
+  registers: [registry],
+});
+
+export const unitsSold = new client.Counter({
+  name: "sweetify_units_sold_total",
+  help: "Units sold through direct purchases and checkouts (rollbacks and cancellations not subtracted)",
+  registers: [registry],
+});
+
+export const ordersPlaced = new client.Counter({
+  name: "sweetify_orders_placed_total",
+  help: "Orders created at checkout",
+  registers: [registry],
+});
+
+/**
+ * Where the DB gauge reads the connection state from.
+ */
+export function setDbStateSource(fn) {
+  dbState = fn;
+}
+
+/**
+ * Time every request. The route label is the matched Express route pattern
+ * (/api/sweets/:id), never the raw URL, to keep label cardinality bounded.
+ */
+export const httpMetrics = (req, res, next) => {
+  const end = httpDuration.startTimer();
+  res.on("finish", () => {
+    let route = "unmatched";
+    if (req.route) {
+      // baseUrl holds the actual ids of parametrised mounts (/api/sweets/:id/reviews)
+      const base = req.baseUrl.replace(/\/[0-9a-fA-F]{24}(?=\/|$)/g, "/:id");
+      route = `${base}${req.route.path === "/" ? "" : req.route.path}` || "/";
+    }
+    const labels = { method: req.method, route, status: String(res.statusCode) };
+    end(labels);
+    httpRequests.inc(labels);
+  });
+  next();
+};
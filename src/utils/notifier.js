@@ -0,0 +1,50 @@
+// src/utils/notifier.js
+import fs from "fs/promises";
+import path from "path";
+import { logger } from "./logger.js";
+import { config } from "../config.js";
+
+/**
+ * Pluggable notifications for operational events (low stock, ...) and
+ * customer messages (back in stock, ...).
+ *
+ * A channel is any object with `async send({ type, to, subject, text, data })`;
+ * `to` is set for messages addressed to a customer (their email).
+ * Built-ins, chosen by NOTIFY_CHANNEL (config.notify):
+ * - "console" (default): prints the notification
+ * - "file": appends one JSON line per notification to NOTIFY_FILE
+ * Real channels (Slack, email, ...) are registered with `setNotifier`.
+ */
+const channels = {
+  console: {
+    async send({ type, to, subject, text }) {
+      console.log(`🔔 [${type}]${to ? ` to ${to}:` : ""} ${subject}${text ? `\n${text}` : ""}`);
+    },
+  },
+  file: {
+    async send(notification) {
+      const file = config.notify.file;
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.appendFile(file, JSON.stringify({ at: new Date().toISOString(), ...notification }) + "\n");
+    },
+  },
+};
+
+let active = null;
+
+export function setNotifier(channel) {
+  active = channel;
+}
+
+/**
+ * Send a notification. Never throws: a broken channel must not fail the
+ * request that triggered it.
+ */
+export async function notify(notification) {
+  const channel = active || channels[config.notify.channel];
+  try {
+    await channel.send(notification);
+  } catch (err) {
+    logger.error("Notification failed", { type: notification.type, err });
+  }
+}
@@ -0,0 +1,106 @@
+// src/utils/pagination.js
+import { HttpError } from "./errors.js";
+
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+
+// Whitelisted ?sort= values for sweet listings. A leading "-" reverses
+// price/name; _id is always the tie-breaker so pages are stable.
+const SORTS = {
+  price: { price: 1, _id: 1 },
+  "-price": { price: -1, _id: -1 },
+  name: { name: 1, _id: 1 },
+  "-name": { name: -1, _id: -1 },
+  newest: { createdAt: -1, _id: -1 },
+  oldest: { createdAt: 1, _id: 1 },
+  popularity: { purchasedCount: -1, createdAt: -1, _id: -1 },
+  rating: { ratingAvg: -1, ratingCount: -1, _id: -1 },
+  reviews: { ratingCount: -1, ratingAvg: -1, _id: -1 },
+  // only meaningful for $text queries; elsewhere it falls back to newest
+  relevance: { score: { $meta: "textScore" }, _id: -1 },
+};
+
+// Whitelisted ?fields= values; _id is always returned
+const FIELDS = [
+  "name",
+  "description",
+  "price",
+  "category",
+  "image",
+  "stock",
+  "variants",
+  "ratingAvg",
+  "ratingCount",
+  "createdBy",
+  "createdAt",
+  "updatedAt",
+];
+
+const badRequest = (message) => new HttpError(422, message);
+
+/**
+ * Parse ?page=&limit=&sort=&fields= for a listing.
+ *
+ * `paginated` is false when neither page nor limit was given: those callers
+ * get the legacy bare-array response. `textSearch` enables the "relevance"
+ * sort (by $text score). Throws a 422 HttpError for
+ * values outside the whitelists.
+ */
+export function parseListOptions(query, { defaultSort = "newest", textSearch = false } = {}) {
+  const paginated = query.page !== undefined || query.limit !== undefined;
+
+  let page = 1;
+  let limit = DEFAULT_LIMIT;
+  if (query.page !== undefined) {
+    page = Number(query.page);
+    if (!Number.isInteger(page) || page < 1) throw badRequest("page must be a positive integer");
+  }
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw badRequest(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+  }
+
+  let sortKey = query.sort || defaultSort;
+  if (!SORTS[sortKey]) throw badRequest(`sort must be one of: ${Object.keys(SORTS).join(", ")}`);
+  if (sortKey === "relevance" && !textSearch) sortKey = "newest";
+
+  let fields = null;
+  if (query.fields) {
+    fields = String(query.fields).split(",").map((f) => f.trim()).filter(Boolean);
+    const unknown = fields.filter((f) => !FIELDS.includes(f));
+    if (unknown.length) throw badRequest(`Unknown fields: ${unknown.join(", ")}`);
+  }
+
+  return {
+    paginated,
+    page,
+    limit,
+    sortKey,
+    sort: SORTS[sortKey],
+    projection: fields ? fields.join(" ") : null,
+    fields,
+  };
+}
+
+/**
+ * Response envelope for paginated listings, with links that keep the
+ * caller's other query parameters.
+ */
+export function buildEnvelope(req, items, total, { page, limit }) {
+  const totalPages = Math.max(Math.ceil(total / limit), 1);
+  const link = (p) => {
+    const params = new URLSearchParams({ ...req.query, page: String(p), limit: String(limit) });
+    return `${req.baseUrl}${req.path === "/" ? "" : req.path}?${params}`;
+  };
+  return {
+    items,
+    total,
+    page,
+    limit,
+    totalPages,
+    next: page < totalPages ? link(page + 1) : null,
+    prev: page > 1 ? link(page - 1) : null,
+  };
+}
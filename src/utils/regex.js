@@ -0,0 +1,8 @@
+// src/utils/regex.js
+
+/**
+ * Escape user input so it matches literally inside a RegExp / $regex.
+ */
+export function escapeRegex(input) {
+  return String(input).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
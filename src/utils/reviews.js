@@ -0,0 +1,51 @@
+// src/utils/reviews.js
+import mongoose from "mongoose";
+import Review from "../models/Review.js";
+import Sweet from "../models/Sweet.js";
+import Order from "../models/Order.js";
+import StockMovement from "../models/StockMovement.js";
+
+// orders that count as a purchase; pending ones aren't paid yet
+const PURCHASED_STATUSES = ["paid", "preparing", "shipped", "delivered"];
+
+/**
+ * True if the user bought the sweet: through a paid (not cancelled) order,
+ * or through the single-item purchase endpoint, which is recorded in the
+ * stock ledger.
+ */
+export async function hasPurchased(userId, sweetId) {
+  const [order, direct] = await Promise.all([
+    Order.exists({ user: userId, "items.sweet": sweetId, status: { $in: PURCHASED_STATUSES } }),
+    StockMovement.exists({ sweet: sweetId, actor: userId, reason: "purchase" }),
+  ]);
+  return Boolean(order || direct);
+}
+
+/**
+ * Recompute Sweet.ratingAvg / ratingCount from its visible reviews. Called
+ * after every review change; recomputing (rather than $inc) means a lost
+ * update is corrected by the next change.
+ */
+export async function refreshSweetRating(sweetId) {
+  const [stats] = await Review.aggregate([
+    { $match: { sweet: new mongoose.Types.ObjectId(String(sweetId)), status: "visible" } },
+    { $group: { _id: null, avg: { $avg: "$rating" }, count: { $sum: 1 } } },
+  ]);
+  const ratingAvg = stats ? Math.round(stats.avg * 100) / 100 : 0;
+  const ratingCount = stats ? stats.count : 0;
+  await Sweet.updateOne({ _id: sweetId }, { $set: { ratingAvg, ratingCount } });
+  return { ratingAvg, ratingCount };
+}
+
+/**
+ * Number of visible reviews per star, e.g. { 1: 0, 2: 1, 3: 0, 4: 5, 5: 9 }.
+ */
+export async function ratingDistribution(sweetId) {
+  const rows = await Review.aggregate([
+    { $match: { sweet: new mongoose.Types.ObjectId(String(sweetId)), status: "visible" } },
+    { $group: { _id: "$rating", count: { $sum: 1 } } },
+  ]);
+  const out = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  for (const r of rows) out[r._id] = r.count;
+  return out;
+}
@@ -0,0 +1,175 @@
+// src/utils/sales.js
+import SaleEvent from "../models/SaleEvent.js";
+import Order from "../models/Order.js";
+import Sweet from "../models/Sweet.js";
+import StockMovement from "../models/StockMovement.js";
+import { roundMoney } from "./inventory.js";
+import { logger } from "./logger.js";
+
+/**
+ * Record a single-item purchase. `sweet` is the updated Sweet returned by
+ * adjustStock(). Never throws: analytics must not fail a sale.
+ */
+export async function recordPurchase(sweet, { variant = null, quantity, user = null }) {
+  try {
+    const v = variant ? sweet.variants.id(variant) : null;
+    const unitPrice = roundMoney(v ? v.price : sweet.price);
+    const gross = roundMoney(unitPrice * quantity);
+    await SaleEvent.create({
+      sweet: sweet._id,
+      variant,
+      name: sweet.name,
+      category: sweet.category,
+      quantity,
+      unitPrice,
+      gross,
+      revenue: gross,
+      source: "purchase",
+      user,
+    });
+  } catch (err) {
+    logger.warn("Could not record sale", { sweet: String(sweet._id), err });
+  }
+}
+
+/**
+ * One event per order line, with order discounts spread over the lines in
+ * proportion to their totals. `categories` maps sweet id -> category.
+ */
+function orderEvents(order, categories, createdAt) {
+  const share = order.subtotal > 0 ? (order.discountTotal || 0) / order.subtotal : 0;
+  return order.items.map((it) => ({
+    sweet: it.sweet,
+    variant: it.variant || null,
+    name: it.name,
+    category: categories.get(String(it.sweet)),
+    quantity: it.quantity,
+    unitPrice: it.unitPrice,
+    gross: it.lineTotal,
+    revenue: roundMoney(Math.max(it.lineTotal - it.lineTotal * share, 0)),
+    source: "checkout",
+    order: order._id,
+    user: order.user,
+    createdAt,
+  }));
+}
+
+/**
+ * Record the lines of a newly placed order. Never throws.
+ */
+export async function recordOrderSales(order, sweets) {
+  try {
+    const categories = new Map(sweets.map((s) => [String(s._id), s.category]));
+    await SaleEvent.insertMany(orderEvents(order, categories, order.createdAt));
+  } catch (err) {
+    logger.warn("Could not record order sales", { order: String(order._id), err });
+  }
+}
+
+/**
+ * Take a cancelled order's lines out of rankings and reports.
+ */
+export async function cancelOrderSales(orderId) {
+  await SaleEvent.updateMany({ order: orderId, cancelledAt: null }, { $set: { cancelledAt: new Date() } });
+}
+
+const BACKFILL_BATCH = 500;
+
+/**
+ * Seed the store from existing orders and single-item purchases the first
+ * time it runs (when it is still empty). Purchases made before this store
+ * existed have no price snapshot, so the sweet's current price is used.
+ *
+ * Orders and purchases are streamed and written BACKFILL_BATCH at a time.
+ * Afterwards each sweet's all-time `purchasedCount` is raised to the units
+ * in the store, so `window=all` ranks the older sales too; `$max` keeps
+ * sales made meanwhile.
+ */
+export async function backfillSales() {
+  if (await SaleEvent.exists({})) return;
+
+  const byId = new Map(); // sweet id -> lean sweet, or null once purged
+  const categories = new Map();
+  const loadSweets = async (ids) => {
+    const missing = [...new Set(ids.map(String))].filter((id) => !byId.has(id));
+    if (!missing.length) return;
+    const found = await Sweet.find({ _id: { $in: missing } }).select("name category price variants").lean();
+    for (const id of missing) byId.set(id, null);
+    for (const sweet of found) {
+      byId.set(String(sweet._id), sweet);
+      categories.set(String(sweet._id), sweet.category);
+    }
+  };
+
+  let count = 0;
+  const insert = async (events) => {
+    if (!events.length) return;
+    await SaleEvent.insertMany(events);
+    count += events.length;
+  };
+
+  const orderBatch = async (orders) => {
+    await loadSweets(orders.flatMap((o) => o.items.map((it) => it.sweet)));
+    const events = [];
+    for (const order of orders) {
+      const lines = orderEvents(order, categories, order.createdAt);
+      if (order.status === "cancelled") lines.forEach((e) => (e.cancelledAt = order.updatedAt));
+      events.push(...lines);
+    }
+    await insert(events);
+  };
+
+  const purchaseBatch = async (movements) => {
+    await loadSweets(movements.map((m) => m.sweet));
+    const events = [];
+    for (const m of movements) {
+      const sweet = byId.get(String(m.sweet));
+      if (!sweet) continue;
+      const v = m.variant ? (sweet.variants || []).find((x) => String(x._id) === String(m.variant)) : null;
+      const unitPrice = roundMoney(v ? v.price : sweet.price);
+      const quantity = -m.delta;
+      events.push({
+        sweet: sweet._id,
+        variant: m.variant || null,
+        name: sweet.name,
+        category: sweet.category,
+        quantity,
+        unitPrice,
+        gross: roundMoney(unitPrice * quantity),
+        revenue: roundMoney(unitPrice * quantity),
+        source: "purchase",
+        user: m.actor,
+        createdAt: m.createdAt,
+      });
+    }
+    await insert(events);
+  };
+
+  await inBatches(Order.find({}).lean().cursor(), orderBatch);
+  await inBatches(StockMovement.find({ reason: "purchase" }).lean().cursor(), purchaseBatch);
+  if (!count) return;
+  logger.info("Backfilled sale events", { count });
+
+  const totals = SaleEvent.aggregate([
+    { $match: { cancelledAt: null } },
+    { $group: { _id: "$sweet", units: { $sum: "$quantity" } } },
+  ]).cursor();
+  await inBatches(totals, (rows) =>
+    Sweet.bulkWrite(
+      rows.map((r) => ({ updateOne: { filter: { _id: r._id }, update: { $max: { purchasedCount: r.units } } } }))
+    )
+  );
+}
+
+// feed `cursor` to `handle` BACKFILL_BATCH documents at a time
+async function inBatches(cursor, handle) {
+  let batch = [];
+  for await (const doc of cursor) {
+    batch.push(doc);
+    if (batch.length >= BACKFILL_BATCH) {
+      await handle(batch);
+      batch = [];
+    }
+  }
+  if (batch.length) await handle(batch);
+}
@@ -0,0 +1,142 @@
+// src/utils/search.js
+import Sweet, { ACTIVE_FILTER } from "../models/Sweet.js";
+
+const VOCABULARY_TTL_MS = 5 * 60 * 1000;
+const MAX_EXPANSIONS_PER_TERM = 8;
+
+// Upper bounds of the price facet buckets; anything above the last is "100+"
+export const PRICE_BUCKETS = [0, 5, 10, 20, 50, 100];
+
+/**
+ * Lower-case words of at least 2 letters/digits. Everything else (quotes,
+ * dashes, regex metacharacters) is dropped, so the result is always safe to
+ * hand to `$text`, where `"` and a leading `-` have special meaning.
+ */
+export function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((w) => w.length >= 2);
+}
+
+/**
+ * Levenshtein distance, giving up early once it exceeds `max`.
+ */
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (cur[j] < rowMin) rowMin = cur[j];
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// typos tolerated for a term of this length
+const allowedTypos = (len) => (len >= 8 ? 2 : len >= 4 ? 1 : 0);
+
+let vocabulary = null;
+let vocabularyBuiltAt = 0;
+
+/**
+ * Distinct words across sweet names, descriptions and categories. Cached for
+ * a few minutes; catalogue writes call `invalidateVocabulary()`.
+ */
+async function getVocabulary() {
+  if (vocabulary && Date.now() - vocabularyBuiltAt < VOCABULARY_TTL_MS) return vocabulary;
+  const docs = await Sweet.find(ACTIVE_FILTER).select("name description category").lean();
+  const words = new Set();
+  for (const d of docs) {
+    for (const w of tokenize(`${d.name} ${d.description || ""} ${d.category || ""}`)) words.add(w);
+  }
+  vocabulary = [...words];
+  vocabularyBuiltAt = Date.now();
+  return vocabulary;
+}
+
+export function invalidateVocabulary() {
+  vocabulary = null;
+}
+
+/**
+ * Expand a user query into `$text` search terms: each word is kept and joined
+ * by catalogue words it is a prefix of ("choc" -> "chocolate") or is within a
+ * few typos of ("choclate" -> "chocolate"). Returns null for an empty query.
+ */
+export async function expandQuery(q) {
+  const terms = tokenize(q);
+  if (!terms.length) return null;
+
+  const vocab = await getVocabulary();
+  const expanded = new Set(terms);
+  for (const term of terms) {
+    const max = allowedTypos(term.length);
+    const matches = [];
+    for (const word of vocab) {
+      if (word === term) continue;
+      if (word.startsWith(term)) {
+        matches.push({ word, distance: 0 });
+        continue;
+      }
+      if (max > 0) {
+        const distance = editDistance(term, word, max);
+        if (distance <= max) matches.push({ word, distance });
+      }
+    }
+    matches
+      .sort((a, b) => a.distance - b.distance || a.word.length - b.word.length)
+      .slice(0, MAX_EXPANSIONS_PER_TERM)
+      .forEach((m) => expanded.add(m.word));
+  }
+  return [...expanded].join(" ");
+}
+
+/**
+ * Facet counts for a search. Each facet ignores its own filter so the client
+ * can show the alternatives: category counts honour the price range, price
+ * buckets honour the category. `category` is a condition on Sweet.category
+ * (see categoryCondition in utils/categories.js).
+ */
+export async function searchFacets({ base, category, price }) {
+  const last = PRICE_BUCKETS[PRICE_BUCKETS.length - 1];
+  const [out] = await Sweet.aggregate([
+    { $match: base },
+    {
+      $facet: {
+        categories: [
+          ...(price ? [{ $match: { price } }] : []),
+          { $group: { _id: "$category", count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+        ],
+        prices: [
+          ...(category ? [{ $match: { category } }] : []),
+          {
+            $bucket: {
+              groupBy: "$price",
+              boundaries: PRICE_BUCKETS.concat(Number.MAX_SAFE_INTEGER),
+              default: "other",
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  return {
+    categories: out.categories.map((c) => ({ category: c._id, count: c.count })),
+    prices: out.prices
+      .filter((b) => b._id !== "other")
+      .map((b) => {
+        const i = PRICE_BUCKETS.indexOf(b._id);
+        return { min: b._id, max: b._id === last ? null : PRICE_BUCKETS[i + 1], count: b.count };
+      }),
+  };
+}
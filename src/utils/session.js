@@ -0,0 +1,118 @@
+// src/utils/session.js
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import Session from "../models/Session.js";
+import { config } from "../config.js";
+
+const REFRESH_TOKEN_TTL_MS = config.auth.refreshTokenTtlDays * 24 * 60 * 60 * 1000;
+
+const hashSecret = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+const newSecret = () => crypto.randomBytes(32).toString("base64url");
+
+/**
+ * Short-lived JWT bound to a session.
+ */
+export function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { id: user._id.toString(), role: user.role, sid: sessionId.toString() },
+    config.auth.jwtSecret,
+    { expiresIn: config.auth.accessTokenTtl }
+  );
+}
+
+/**
+ * Start a new session for `user` and return its token pair.
+ * The refresh token is `<sessionId>.<secret>`.
+ */
+export async function createSession(user, req) {
+  const secret = newSecret();
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashSecret(secret),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    userAgent: req && req.headers["user-agent"],
+    ip: req && req.ip,
+  });
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken: `${session._id}.${secret}`,
+  };
+}
+
+function parseRefreshToken(refreshToken) {
+  const [sid, secret] = String(refreshToken || "").split(".");
+  if (!sid || !secret || !/^[0-9a-fA-F]{24}$/.test(sid)) return null;
+  return { sid, secret };
+}
+
+/**
+ * Exchange a refresh token for a new token pair, rotating the refresh token.
+ * The session keeps the expiry set at login: refreshing never extends it.
+ *
+ * Presenting an already-rotated refresh token means it leaked (or was
+ * replayed), so the whole session is revoked. Returns null when the token is
+ * not usable; `loadUser(userId)` must resolve the (still existing) user.
+ */
+export async function rotateSession(refreshToken, loadUser) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const session = await Session.findById(parsed.sid);
+  if (!session || !session.isActive()) return null;
+
+  const presentedHash = hashSecret(parsed.secret);
+  if (presentedHash !== session.tokenHash) {
+    await Session.updateOne({ _id: session._id }, { $set: { revokedAt: new Date() } });
+    return null;
+  }
+
+  const user = await loadUser(session.user);
+  if (!user) {
+    await Session.updateOne({ _id: session._id }, { $set: { revokedAt: new Date() } });
+    return null;
+  }
+
+  const secret = newSecret();
+  // conditional on the old hash so two concurrent refreshes can't both win
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: {
+        tokenHash: hashSecret(secret),
+        lastUsedAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+  if (!rotated) return null;
+
+  return {
+    user,
+    token: signAccessToken(user, rotated._id),
+    refreshToken: `${rotated._id}.${secret}`,
+  };
+}
+
+/**
+ * Revoke the session a refresh token belongs to (if the token is current).
+ */
+export async function revokeByRefreshToken(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return false;
+  const result = await Session.updateOne(
+    { _id: parsed.sid, tokenHash: hashSecret(parsed.secret), revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Revoke every active session of a user ("log out everywhere").
+ */
+export async function revokeAllSessions(userId) {
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.modifiedCount;
+}
@@ -0,0 +1,144 @@
+// src/utils/shipping.js
+import ShippingMethod from "../models/ShippingMethod.js";
+import { HttpError } from "./errors.js";
+import { roundMoney } from "./inventory.js";
+import { logger } from "./logger.js";
+
+// created on first start; admins edit them through /api/admin/shipping-methods
+export const DEFAULT_SHIPPING_METHODS = [
+  {
+    code: "pickup",
+    name: "Pickup in store",
+    requiresAddress: false,
+    order: 0,
+    zones: [{ name: "Store", baseFee: 0, minDays: 0, maxDays: 1 }],
+  },
+  {
+    code: "standard",
+    name: "Standard delivery",
+    order: 1,
+    zones: [
+      { name: "Everywhere", baseFee: 4.99, includedItems: 5, perItemFee: 0.25, perKgFee: 1, freeOver: 50, minDays: 3, maxDays: 5 },
+    ],
+  },
+  {
+    code: "express",
+    name: "Express delivery",
+    order: 2,
+    zones: [
+      {
+        name: "Everywhere",
+        baseFee: 9.99,
+        includedItems: 5,
+        perItemFee: 0.5,
+        perKgFee: 2,
+        maxWeightGrams: 10000,
+        minDays: 1,
+        maxDays: 2,
+      },
+    ],
+  },
+];
+
+/**
+ * Seed the default methods when none exist yet. Runs after connecting.
+ */
+export async function ensureShippingMethods() {
+  if (await ShippingMethod.exists({})) return;
+  await ShippingMethod.insertMany(DEFAULT_SHIPPING_METHODS);
+  logger.info("Created default shipping methods", { count: DEFAULT_SHIPPING_METHODS.length });
+}
+
+export function normalizePostcode(postcode) {
+  return String(postcode || "").replace(/\s+/g, "").toUpperCase();
+}
+
+/**
+ * First zone of `method` covering `address`. Methods without an address
+ * (pickup) use their first zone.
+ */
+export function findZone(method, address) {
+  if (!method.requiresAddress) return method.zones[0] || null;
+  if (!address) return null;
+  const postcode = normalizePostcode(address.postcode);
+  const country = String(address.country || "").toUpperCase();
+  return (
+    method.zones.find(
+      (z) =>
+        (!z.countries.length || z.countries.some((c) => c.toUpperCase() === country)) &&
+        (!z.postcodePrefixes.length || z.postcodePrefixes.some((p) => postcode.startsWith(normalizePostcode(p))))
+    ) || null
+  );
+}
+
+/**
+ * Price `method` for a shipment of `itemCount` units weighing `weightGrams`
+ * and worth `amount` (after discounts, for free-shipping thresholds).
+ * Returns { method, name, available, reason?, zone?, fee?, freeShipping?, estimatedDays? }.
+ */
+export function quoteShipping(method, { address = null, itemCount, weightGrams = 0, amount }) {
+  const base = { method: method.code, name: method.name };
+  const unavailable = (reason) => ({ ...base, available: false, reason });
+
+  if (method.requiresAddress && !address) return unavailable("An address is required for this method");
+  const zone = findZone(method, address);
+  if (!zone) return unavailable("This method doesn't deliver to that address");
+  if (zone.maxItems !== null && itemCount > zone.maxItems) {
+    return unavailable(`This method takes at most ${zone.maxItems} items`);
+  }
+  if (zone.maxWeightGrams !== null && weightGrams > zone.maxWeightGrams) {
+    return unavailable(`This method takes at most ${zone.maxWeightGrams / 1000} kg`);
+  }
+
+  const freeShipping = zone.freeOver !== null && amount >= zone.freeOver;
+  const fee = freeShipping
+    ? 0
+    : zone.baseFee +
+      zone.perItemFee * Math.max(0, itemCount - zone.includedItems) +
+      zone.perKgFee * (weightGrams / 1000);
+
+  return {
+    ...base,
+    available: true,
+    zone: zone.name,
+    fee: roundMoney(fee),
+    freeShipping,
+    estimatedDays: zone.minDays !== undefined ? { min: zone.minDays, max: zone.maxDays ?? zone.minDays } : null,
+  };
+}
+
+/**
+ * The user's address `addressId`, or their default address when no id is
+ * given. Throws 404 for an unknown id; returns null if there is no default.
+ */
+export function pickAddress(user, addressId) {
+  const addresses = (user && user.addresses) || [];
+  if (addressId) {
+    const address = addresses.find((a) => a._id.equals(addressId));
+    if (!address) throw new HttpError(404, "Address not found");
+    return address;
+  }
+  return addresses.find((a) => a.isDefault) || null;
+}
+
+/**
+ * Address fields copied onto an order.
+ */
+export function addressSnapshot(address) {
+  if (!address) return undefined;
+  const { recipient, line1, line2, city, region, postcode, country, phone } = address;
+  return { recipient, line1, line2, city, region, postcode, country, phone };
+}
+
+/**
+ * Units and total weight of `lines` ({ quantity, weightGrams } per unit).
+ */
+export function shipmentOf(lines) {
+  return lines.reduce(
+    (acc, l) => ({
+      itemCount: acc.itemCount + l.quantity,
+      weightGrams: acc.weightGrams + (l.weightGrams || 0) * l.quantity,
+    }),
+    { itemCount: 0, weightGrams: 0 }
+  );
+}
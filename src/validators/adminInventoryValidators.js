@@ -0,0 +1,31 @@
+// src/validators/adminInventoryValidators.js
+// Request schemas for adminInventoryRoutes — see middleware/validate.js for the rule format.
+
+const id = { params: { id: { type: "objectId", required: true } } };
+
+export const listAlertsSchema = {
+  query: {
+    status: { type: "string", enum: ["active", "open", "acknowledged", "resolved", "all"], default: "active" },
+  },
+};
+
+export const alertIdSchema = id;
+
+export const movementsSchema = {
+  ...id,
+  query: {
+    page: { type: "integer", min: 1, default: 1 },
+    limit: { type: "integer", min: 1, max: 200, default: 50 },
+  },
+};
+
+export const adjustmentSchema = {
+  ...id,
+  body: {
+    delta: { type: "integer", required: true },
+    variant: { type: "objectId" },
+    note: { type: "string", required: true, minLength: 3, maxLength: 500 },
+  },
+};
+
+export const reconcileSchema = { query: {} };
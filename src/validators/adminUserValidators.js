@@ -0,0 +1,29 @@
+// src/validators/adminUserValidators.js
+// Request schemas for adminUserRoutes — see middleware/validate.js for the rule format.
+
+const id = { params: { id: { type: "objectId", required: true } } };
+
+export const listUsersSchema = {
+  query: {
+    q: { type: "string", maxLength: 100 },
+    role: { type: "string", enum: ["user", "admin"] },
+    disabled: { type: "boolean" },
+    locked: { type: "boolean" },
+    page: { type: "integer", min: 1, default: 1 },
+    limit: { type: "integer", min: 1, max: 100, default: 20 },
+  },
+};
+
+export const auditLogSchema = {
+  query: {
+    user: { type: "objectId" },
+    limit: { type: "integer", min: 1, max: 500, default: 50 },
+  },
+};
+
+export const userIdSchema = id;
+
+export const disableUserSchema = {
+  ...id,
+  body: { reason: { type: "string", maxLength: 500 } },
+};
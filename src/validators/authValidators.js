@@ -0,0 +1,51 @@
+// src/validators/authValidators.js
+// Request schemas for authRoutes — see middleware/validate.js for the rule format.
+
+// passwords are never trimmed: surrounding spaces are part of the secret
+const password = { type: "string", required: true, trim: false, minLength: 6, maxLength: 128 };
+const cartToken = { type: "string", maxLength: 200 };
+
+export const registerSchema = {
+  body: {
+    username: { type: "string", required: true, minLength: 1, maxLength: 50 },
+    email: { type: "email", required: true, maxLength: 254 },
+    password,
+    cartToken,
+  },
+};
+
+export const loginSchema = {
+  body: {
+    email: { type: "email", required: true },
+    password: { type: "string", required: true, trim: false },
+    cartToken,
+  },
+};
+
+export const refreshTokenSchema = {
+  body: {
+    refreshToken: { type: "string", required: true, maxLength: 200 },
+  },
+};
+
+export const emptySchema = { body: {} };
+
+export const forgotPasswordSchema = {
+  body: {
+    email: { type: "email", required: true },
+  },
+};
+
+export const resetPasswordSchema = {
+  body: {
+    token: { type: "string", required: true, maxLength: 200 },
+    password,
+  },
+};
+
+export const changePasswordSchema = {
+  body: {
+    currentPassword: { type: "string", required: true, trim: false },
+    newPassword: password,
+  },
+};
@@ -0,0 +1,59 @@
+// src/validators/cartValidators.js
+// Request schemas for cartRoutes — see middleware/validate.js for the rule format.
+
+const MAX_CART_LINES = 100;
+
+// clients have sent the id as item, itemId or _id over time; all are accepted
+const cartLine = {
+  type: "object",
+  fields: {
+    item: { type: "objectId" },
+    itemId: { type: "objectId" },
+    _id: { type: "objectId" },
+    variant: { type: "objectId" },
+    quantity: { type: "integer", min: 1 },
+  },
+};
+
+export const cartItemsSchema = {
+  body: {
+    items: { type: "array", default: () => [], maxItems: MAX_CART_LINES, items: cartLine },
+  },
+};
+
+export const addItemSchema = {
+  body: {
+    item: { type: "objectId" },
+    itemId: { type: "objectId" },
+    variant: { type: "objectId" },
+    quantity: { type: "integer", min: 1, default: 1 },
+  },
+};
+
+export const updateItemSchema = {
+  params: { sweetId: { type: "objectId", required: true } },
+  body: {
+    quantity: { type: "integer", min: 1, required: true },
+    variant: { type: "objectId" },
+  },
+};
+
+export const removeItemSchema = {
+  params: { sweetId: { type: "objectId", required: true } },
+  query: { variant: { type: "objectId" } },
+};
+
+export const applyCouponSchema = {
+  body: { code: { type: "string", required: true, minLength: 3, maxLength: 32 } },
+};
+
+export const emptySchema = { query: {}, body: {} };
+
+// shipping is optional; without a method the order has no delivery fee
+export const checkoutSchema = {
+  query: {},
+  body: {
+    shippingMethod: { type: "string", pattern: /^[a-z0-9_-]{2,32}$/ },
+    addressId: { type: "objectId" },
+  },
+};
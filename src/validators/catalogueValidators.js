@@ -0,0 +1,16 @@
+// src/validators/catalogueValidators.js
+// Request schemas for adminCatalogueRoutes — see middleware/validate.js for the rule format.
+
+export const exportSchema = {
+  query: {
+    format: { type: "string", enum: ["csv", "json"], default: "csv" },
+    includeArchived: { type: "boolean", default: false },
+  },
+};
+
+// the body is CSV text or JSON records; utils/catalogue.js checks it row by row
+export const importSchema = {
+  query: {
+    dryRun: { type: "boolean", default: false },
+  },
+};
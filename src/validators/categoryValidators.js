@@ -0,0 +1,31 @@
+// src/validators/categoryValidators.js
+// Request schemas for category routes — see middleware/validate.js for the rule format.
+
+const id = { params: { id: { type: "objectId", required: true } } };
+
+const SLUG_RE = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+// a category id, or "root" to make it top-level
+const PARENT_RE = /^(?:[0-9a-fA-F]{24}|root)$/;
+
+const categoryFields = {
+  name: { type: "string", minLength: 1, maxLength: 50 },
+  slug: { type: "string", maxLength: 60, lowercase: true, pattern: SLUG_RE },
+  parent: { type: "string", pattern: PARENT_RE },
+  order: { type: "integer" },
+  isActive: { type: "boolean" },
+};
+
+export const listCategoriesSchema = { query: {} };
+
+export const adminListCategoriesSchema = { query: {} };
+
+export const createCategorySchema = {
+  body: { ...categoryFields, name: { ...categoryFields.name, required: true } },
+};
+
+export const updateCategorySchema = { ...id, body: categoryFields };
+
+export const deleteCategorySchema = {
+  ...id,
+  query: { reassignTo: { type: "string", maxLength: 60 } },
+};
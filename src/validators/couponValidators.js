@@ -0,0 +1,65 @@
+// src/validators/couponValidators.js
+// Request schemas for adminCouponRoutes — see middleware/validate.js for the rule format.
+import { COUPON_TYPES } from "../models/Coupon.js";
+
+const id = { params: { id: { type: "objectId", required: true } } };
+
+// dates are ISO 8601 strings; routes turn them into Dates
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// fields that PATCH can reset to "none" via `unset`
+export const NULLABLE_COUPON_FIELDS = ["startsAt", "endsAt", "maxUses", "maxUsesPerUser"];
+
+const couponFields = {
+  description: { type: "string", maxLength: 200 },
+  type: { type: "string", enum: COUPON_TYPES },
+  value: { type: "number", min: 0 },
+  freeItem: {
+    type: "object",
+    fields: {
+      sweet: { type: "objectId", required: true },
+      variant: { type: "objectId" },
+      quantity: { type: "integer", min: 1, default: 1 },
+    },
+  },
+  scope: {
+    type: "object",
+    fields: {
+      sweets: { type: "array", maxItems: 200, items: { type: "objectId" }, default: () => [] },
+      categories: { type: "array", maxItems: 50, items: { type: "string", maxLength: 60 }, default: () => [] },
+    },
+  },
+  minSubtotal: { type: "number", min: 0 },
+  startsAt: { type: "string", pattern: ISO_DATE_RE },
+  endsAt: { type: "string", pattern: ISO_DATE_RE },
+  maxUses: { type: "integer", min: 1 },
+  maxUsesPerUser: { type: "integer", min: 1 },
+  isActive: { type: "boolean" },
+};
+
+export const listCouponsSchema = {
+  query: {
+    active: { type: "boolean" },
+    page: { type: "integer", min: 1, default: 1 },
+    limit: { type: "integer", min: 1, max: 100, default: 20 },
+  },
+};
+
+export const couponIdSchema = id;
+
+export const createCouponSchema = {
+  body: {
+    ...couponFields,
+    code: { type: "string", required: true, pattern: /^[A-Za-z0-9_-]{3,32}$/ },
+    type: { ...couponFields.type, required: true },
+  },
+};
+
+// the code is fixed once created: carts refer to coupons by code
+export const updateCouponSchema = {
+  ...id,
+  body: {
+    ...couponFields,
+    unset: { type: "array", maxItems: NULLABLE_COUPON_FIELDS.length, items: { type: "string", enum: NULLABLE_COUPON_FIELDS } },
+  },
+};
@@ -0,0 +1,21 @@
+// src/validators/orderValidators.js
+// Request schemas for orderRoutes — see middleware/validate.js for the rule format.
+import { ORDER_STATUSES } from "../models/Order.js";
+
+const id = { params: { id: { type: "objectId", required: true } } };
+
+export const listAllOrdersSchema = {
+  query: { status: { type: "string", enum: ORDER_STATUSES } },
+};
+
+export const listOrdersSchema = { query: {} };
+
+export const orderIdSchema = id;
+
+export const updateStatusSchema = {
+  ...id,
+  body: {
+    status: { type: "string", required: true, enum: ORDER_STATUSES },
+    note: { type: "string", maxLength: 500 },
+  },
+};
@@ -0,0 +1,14 @@
+// src/validators/reportValidators.js
+// Request schemas for adminReportRoutes — see middleware/validate.js for the rule format.
+
+// YYYY-MM-DD or a full ISO timestamp
+const DATE_RE = /^\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+export const salesReportSchema = {
+  query: {
+    from: { type: "string", pattern: DATE_RE },
+    to: { type: "string", pattern: DATE_RE },
+    groupBy: { type: "string", enum: ["day", "sweet", "category"], default: "day" },
+    format: { type: "string", enum: ["json", "csv"], default: "json" },
+  },
+};
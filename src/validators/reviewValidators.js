@@ -0,0 +1,51 @@
+// src/validators/reviewValidators.js
+// Request schemas for reviewRoutes and adminReviewRoutes — see middleware/validate.js for the rule format.
+import { REVIEW_STATUSES } from "../models/Review.js";
+
+const sweetId = { params: { id: { type: "objectId", required: true } } };
+
+const reviewFields = {
+  rating: { type: "integer", min: 1, max: 5 },
+  title: { type: "string", maxLength: 120 },
+  body: { type: "string", maxLength: 5000 },
+};
+
+const page = {
+  page: { type: "integer", min: 1, default: 1 },
+  limit: { type: "integer", min: 1, max: 100, default: 20 },
+};
+
+export const listReviewsSchema = {
+  ...sweetId,
+  query: {
+    ...page,
+    sort: { type: "string", enum: ["newest", "oldest", "highest", "lowest"], default: "newest" },
+    rating: { type: "integer", min: 1, max: 5 },
+    verified: { type: "boolean" },
+  },
+};
+
+export const createReviewSchema = {
+  ...sweetId,
+  body: { ...reviewFields, rating: { ...reviewFields.rating, required: true } },
+};
+
+export const updateReviewSchema = { ...sweetId, body: reviewFields };
+
+export const ownReviewSchema = sweetId;
+
+export const adminListReviewsSchema = {
+  query: {
+    ...page,
+    status: { type: "string", enum: [...REVIEW_STATUSES, "all"], default: "all" },
+    sweet: { type: "objectId" },
+    user: { type: "objectId" },
+  },
+};
+
+export const reviewIdSchema = { params: { id: { type: "objectId", required: true } } };
+
+export const hideReviewSchema = {
+  ...reviewIdSchema,
+  body: { reason: { type: "string", maxLength: 500 } },
+};
@@ -0,0 +1,89 @@
+// src/validators/shippingValidators.js
+// Request schemas for address and shipping routes — see middleware/validate.js for the rule format.
+
+const id = { params: { id: { type: "objectId", required: true } } };
+
+const COUNTRY_RE = /^[A-Za-z]{2}$/;
+const CODE_RE = /^[a-z0-9_-]{2,32}$/;
+
+const addressFields = {
+  label: { type: "string", maxLength: 40 },
+  recipient: { type: "string", minLength: 1, maxLength: 100 },
+  line1: { type: "string", minLength: 1, maxLength: 200 },
+  line2: { type: "string", maxLength: 200 },
+  city: { type: "string", minLength: 1, maxLength: 100 },
+  region: { type: "string", maxLength: 100 },
+  postcode: { type: "string", minLength: 2, maxLength: 16 },
+  country: { type: "string", pattern: COUNTRY_RE },
+  phone: { type: "string", maxLength: 30 },
+  isDefault: { type: "boolean" },
+};
+
+const newAddress = {
+  ...addressFields,
+  recipient: { ...addressFields.recipient, required: true },
+  line1: { ...addressFields.line1, required: true },
+  city: { ...addressFields.city, required: true },
+  postcode: { ...addressFields.postcode, required: true },
+  country: { ...addressFields.country, required: true },
+};
+
+export const listAddressesSchema = { query: {} };
+
+export const createAddressSchema = { body: newAddress };
+
+export const updateAddressSchema = { ...id, body: addressFields };
+
+export const addressIdSchema = id;
+
+export const listMethodsSchema = { query: {} };
+
+// an address-book id, an inline address, or neither (the default address)
+export const quoteSchema = {
+  body: {
+    method: { type: "string", pattern: CODE_RE },
+    addressId: { type: "objectId" },
+    address: { type: "object", fields: newAddress },
+  },
+};
+
+const zone = {
+  type: "object",
+  fields: {
+    name: { type: "string", required: true, maxLength: 60 },
+    countries: { type: "array", maxItems: 250, items: { type: "string", pattern: COUNTRY_RE } },
+    postcodePrefixes: { type: "array", maxItems: 1000, items: { type: "string", maxLength: 16 } },
+    baseFee: { type: "number", min: 0 },
+    includedItems: { type: "integer", min: 0 },
+    perItemFee: { type: "number", min: 0 },
+    perKgFee: { type: "number", min: 0 },
+    freeOver: { type: "number", min: 0 },
+    maxItems: { type: "integer", min: 1 },
+    maxWeightGrams: { type: "integer", min: 1 },
+    minDays: { type: "integer", min: 0 },
+    maxDays: { type: "integer", min: 0 },
+  },
+};
+
+const methodFields = {
+  name: { type: "string", minLength: 1, maxLength: 60 },
+  description: { type: "string", maxLength: 500 },
+  requiresAddress: { type: "boolean" },
+  zones: { type: "array", maxItems: 50, items: zone },
+  order: { type: "integer" },
+  isActive: { type: "boolean" },
+};
+
+export const adminListMethodsSchema = { query: {} };
+
+export const createMethodSchema = {
+  body: {
+    ...methodFields,
+    code: { type: "string", required: true, pattern: CODE_RE },
+    name: { ...methodFields.name, required: true },
+  },
+};
+
+export const updateMethodSchema = { ...id, body: methodFields };
+
+export const methodIdSchema = id;
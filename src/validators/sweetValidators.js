@@ -0,0 +1,113 @@
+// src/validators/sweetValidators.js
+// Request schemas for sweetRoutes — see middleware/validate.js for the rule format.
+
+const id = { params: { id: { type: "objectId", required: true } } };
+const variantId = {
+  params: {
+    id: { type: "objectId", required: true },
+    variantId: { type: "objectId", required: true },
+  },
+};
+
+// sort/fields values are whitelisted by utils/pagination.js
+const listQuery = {
+  page: { type: "integer", min: 1 },
+  limit: { type: "integer", min: 1 },
+  sort: { type: "string", maxLength: 20 },
+  fields: { type: "string", maxLength: 200 },
+};
+
+export const listSchema = {
+  query: { ...listQuery, minRating: { type: "number", min: 0, max: 5 } },
+};
+
+export const searchSchema = {
+  query: {
+    ...listQuery,
+    minRating: { type: "number", min: 0, max: 5 },
+    q: { type: "string", maxLength: 200 },
+    category: { type: "string", maxLength: 50 },
+    minPrice: { type: "number", min: 0 },
+    maxPrice: { type: "number", min: 0 },
+  },
+};
+
+export const popularitySchema = {
+  query: { window: { type: "string", enum: ["24h", "7d", "30d", "all"], default: "7d" } },
+};
+
+export const trendingSchema = {
+  query: { category: { type: "string", maxLength: 60 } },
+};
+
+// stock and createdBy are deliberately absent: stock only moves through
+// purchase/restock, and ownership never changes after creation
+const editableFields = {
+  name: { type: "string", minLength: 1, maxLength: 100 },
+  description: { type: "string", maxLength: 2000 },
+  price: { type: "number", min: 0 },
+  category: { type: "string", maxLength: 60 }, // category name or slug
+  image: { type: "string", maxLength: 2048 },
+  lowStockThreshold: { type: "integer", min: 0 },
+  weightGrams: { type: "integer", min: 0, max: 100000 },
+};
+
+export const MAX_VARIANTS = 50;
+
+// stock is only accepted on creation, as opening stock
+const variantFields = {
+  sku: { type: "string", minLength: 1, maxLength: 64, pattern: /^[A-Za-z0-9._-]+$/ },
+  name: { type: "string", maxLength: 100 },
+  attributes: { type: "object" },
+  price: { type: "number", min: 0 },
+  weightGrams: { type: "integer", min: 0, max: 100000 },
+};
+const newVariant = {
+  ...variantFields,
+  sku: { ...variantFields.sku, required: true },
+  price: { ...variantFields.price, required: true },
+  stock: { type: "integer", min: 0 },
+};
+
+// price is required unless variants are given (it then follows the variants)
+export const createSweetSchema = {
+  body: {
+    ...editableFields,
+    name: { ...editableFields.name, required: true },
+    stock: { type: "integer", min: 0 },
+    variants: { type: "array", maxItems: MAX_VARIANTS, items: { type: "object", fields: newVariant } },
+  },
+};
+
+export const updateSweetSchema = { ...id, body: editableFields };
+
+export const purchaseSchema = {
+  ...id,
+  body: {
+    quantity: { type: "integer", min: 1, default: 1 },
+    variant: { type: "objectId" },
+  },
+};
+
+export const restockSchema = {
+  ...id,
+  body: {
+    quantity: { type: "integer", min: 1, required: true },
+    variant: { type: "objectId" },
+  },
+};
+
+export const addVariantSchema = { ...id, body: newVariant };
+
+export const updateVariantSchema = { ...variantId, body: variantFields };
+
+export const variantIdSchema = variantId;
+
+export const sweetIdSchema = id;
+
+export const sweetImageSchema = {
+  params: {
+    id: { type: "objectId", required: true },
+    imageId: { type: "objectId", required: true },
+  },
+};
@@ -0,0 +1,25 @@
+// src/validators/wishlistValidators.js
+// Request schemas for wishlistRoutes — see middleware/validate.js for the rule format.
+
+const sweetId = { params: { sweetId: { type: "objectId", required: true } } };
+
+export const listWishlistSchema = { query: {} };
+
+export const addWishlistSchema = {
+  body: {
+    sweet: { type: "objectId", required: true },
+    notify: { type: "boolean", default: false },
+  },
+};
+
+export const removeWishlistSchema = sweetId;
+
+export const subscribeSchema = {
+  ...sweetId,
+  body: { variant: { type: "objectId" } },
+};
+
+export const unsubscribeSchema = {
+  ...sweetId,
+  query: { variant: { type: "objectId" } },
+};
@@ -0,0 +1,22 @@
+// tests/analytics.test.js
+import { parseReportDate } from "../src/utils/analytics.js";
+
+const iso = (value, options) => parseReportDate(value, options).toISOString();
+
+describe("parseReportDate", () => {
+  it("reads dates and times without an offset in the report timezone", () => {
+    expect(iso("2024-07-01", { timeZone: "Europe/London" })).toBe("2024-06-30T23:00:00.000Z");
+    expect(iso("2024-01-15T09:30", { timeZone: "Europe/London" })).toBe("2024-01-15T09:30:00.000Z");
+    expect(iso("2024-07-01", { timeZone: "UTC" })).toBe("2024-07-01T00:00:00.000Z");
+  });
+
+  it("moves a bare date to the start of the next local day, across DST changes", () => {
+    expect(iso("2024-03-10", { timeZone: "America/New_York", nextDay: true })).toBe("2024-03-11T04:00:00.000Z");
+    expect(iso("2024-11-03", { timeZone: "America/New_York", nextDay: true })).toBe("2024-11-04T05:00:00.000Z");
+  });
+
+  it("keeps explicit offsets and rejects impossible dates", () => {
+    expect(iso("2024-07-01T10:00:00+02:00", { timeZone: "Asia/Tokyo" })).toBe("2024-07-01T08:00:00.000Z");
+    expect(Number.isNaN(parseReportDate("2024-02-30").getTime())).toBe(true);
+  });
+});
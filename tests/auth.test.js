@@ -0,0 +1,154 @@
+// tests/auth.test.js
+import request from "supertest";
+import User from "../src/models/User.js";
+import Session from "../src/models/Session.js";
+import { startDatabase, stopDatabase, resetDatabase, registerUser, registerAdmin, auth } from "./helpers.js";
+
+let app;
+
+beforeAll(async () => {
+  app = await startDatabase();
+});
+
+afterAll(stopDatabase);
+
+beforeEach(resetDatabase);
+
+describe("POST /api/auth/register", () => {
+  it("creates a user and returns a token pair", async () => {
+    const res = await request(app)
+      .post("/api/auth/register")
+      .send({ username: "ann", email: "Ann@Example.com", password: "secret123", role: "admin" });
+
+    expect(res.status).toBe(201);
+    expect(res.body.token).toEqual(expect.any(String));
+    expect(res.body.refreshToken).toEqual(expect.any(String));
+    // email is normalised and the role can't be chosen
+    expect(res.body.user).toMatchObject({ email: "ann@example.com", role: "user" });
+  });
+
+  it("refuses a second account with the same email", async () => {
+    await registerUser(app, { email: "dup@example.com" });
+    const res = await request(app)
+      .post("/api/auth/register")
+      .send({ username: "other", email: "dup@example.com", password: "secret123" });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe("USER_EXISTS");
+  });
+
+  it("validates the body", async () => {
+    const res = await request(app).post("/api/auth/register").send({ email: "nope", password: "123" });
+
+    expect(res.status).toBe(422);
+    const paths = res.body.error.details.map((d) => d.path);
+    expect(paths).toEqual(expect.arrayContaining(["body.username", "body.email", "body.password"]));
+  });
+});
+
+describe("POST /api/auth/login", () => {
+  it("logs in with the right password", async () => {
+    const { email, password } = await registerUser(app);
+    const res = await request(app).post("/api/auth/login").send({ email, password });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.email).toBe(email);
+    expect(res.body.token).toEqual(expect.any(String));
+  });
+
+  it("answers the same 401 for a wrong password and an unknown email", async () => {
+    const { email } = await registerUser(app);
+    const wrong = await request(app).post("/api/auth/login").send({ email, password: "wrong-pass" });
+    const unknown = await request(app).post("/api/auth/login").send({ email: "ghost@example.com", password: "x" });
+
+    expect(wrong.status).toBe(401);
+    expect(unknown.status).toBe(401);
+    expect(wrong.body.error.code).toBe("INVALID_CREDENTIALS");
+    expect(unknown.body.error.code).toBe("INVALID_CREDENTIALS");
+  });
+
+  it("locks the account after repeated failures until an admin unlocks it", async () => {
+    const { email, password, user } = await registerUser(app);
+    const attempts = [];
+    for (let i = 0; i < 5; i++) {
+      attempts.push(await request(app).post("/api/auth/login").send({ email, password: "wrong-pass" }));
+    }
+    expect(attempts.slice(0, 4).map((r) => r.status)).toEqual([401, 401, 401, 401]);
+    expect(attempts[4].status).toBe(423);
+    expect(attempts[4].headers["retry-after"]).toBeDefined();
+
+    // even the right password is refused while locked
+    const locked = await request(app).post("/api/auth/login").send({ email, password });
+    expect(locked.status).toBe(423);
+    expect(locked.body.error.code).toBe("ACCOUNT_LOCKED");
+
+    const admin = await registerAdmin(app);
+    const unlock = await request(app).post(`/api/admin/users/${user.id}/unlock`).set(auth(admin.token));
+    expect(unlock.status).toBe(200);
+    expect(unlock.body.user.lockedUntil).toBeNull();
+
+    const ok = await request(app).post("/api/auth/login").send({ email, password });
+    expect(ok.status).toBe(200);
+  });
+
+  it("forgets failures older than the failure window", async () => {
+    const { email, user } = await registerUser(app);
+    for (let i = 0; i < 4; i++) await request(app).post("/api/auth/login").send({ email, password: "wrong-pass" });
+    await User.updateOne({ _id: user.id }, { lastFailedLoginAt: new Date(Date.now() - 60 * 60 * 1000) });
+
+    const res = await request(app).post("/api/auth/login").send({ email, password: "wrong-pass" });
+    expect(res.status).toBe(401);
+    expect((await User.findById(user.id)).failedLoginCount).toBe(1);
+  });
+
+  it("refuses disabled accounts", async () => {
+    const { email, password, user } = await registerUser(app);
+    await User.updateOne({ _id: user.id }, { disabled: true });
+    const res = await request(app).post("/api/auth/login").send({ email, password });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error.code).toBe("ACCOUNT_DISABLED");
+  });
+});
+
+describe("sessions", () => {
+  it("rotates the refresh token and refuses the old one", async () => {
+    const { refreshToken } = await registerUser(app);
+    const first = await request(app).post("/api/auth/refresh").send({ refreshToken });
+    expect(first.status).toBe(200);
+    expect(first.body.refreshToken).not.toBe(refreshToken);
+
+    const reused = await request(app).post("/api/auth/refresh").send({ refreshToken });
+    expect(reused.status).toBe(401);
+  });
+
+  it("keeps the expiry set at login when rotating", async () => {
+    const { refreshToken, user } = await registerUser(app);
+    const { expiresAt } = await Session.findOne({ user: user.id });
+
+    const res = await request(app).post("/api/auth/refresh").send({ refreshToken });
+    expect(res.status).toBe(200);
+    expect((await Session.findOne({ user: user.id })).expiresAt).toEqual(expiresAt);
+
+    await Session.updateOne({ user: user.id }, { expiresAt: new Date(Date.now() - 1000) });
+    const expired = await request(app).post("/api/auth/refresh").send({ refreshToken: res.body.refreshToken });
+    expect(expired.status).toBe(401);
+  });
+
+  it("revokes the access token on logout-all", async () => {
+    const { token } = await registerUser(app);
+    expect((await request(app).get("/api/cart").set(auth(token))).status).toBe(200);
+
+    const res = await request(app).post("/api/auth/logout-all").set(auth(token));
+    expect(res.status).toBe(200);
+
+    const after = await request(app).get("/api/cart").set(auth(token));
+    expect(after.status).toBe(401);
+    expect(after.body.error.code).toBe("SESSION_REVOKED");
+  });
+
+  it("rejects requests without a token", async () => {
+    const res = await request(app).get("/api/orders");
+    expect(res.status).toBe(401);
+  });
+});
@@ -0,0 +1,188 @@
+// tests/cart.test.js
+import request from "supertest";
+import Sweet from "../src/models/Sweet.js";
+import Order from "../src/models/Order.js";
+import Cart from "../src/models/Cart.js";
+import {
+  startDatabase,
+  stopDatabase,
+  resetDatabase,
+  registerUser,
+  registerAdmin,
+  createSweet,
+  auth,
+} from "./helpers.js";
+
+let app;
+let admin;
+let customer;
+
+beforeAll(async () => {
+  app = await startDatabase();
+});
+
+afterAll(stopDatabase);
+
+beforeEach(async () => {
+  await resetDatabase();
+  admin = await registerAdmin(app);
+  customer = await registerUser(app);
+});
+
+const addItem = (token, item, quantity = 1) =>
+  request(app).post("/api/cart/items").set(auth(token)).send({ item, quantity });
+
+describe("user cart", () => {
+  it("starts empty", async () => {
+    const res = await request(app).get("/api/cart").set(auth(customer.token));
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ items: [], subtotal: 0, total: 0 });
+  });
+
+  it("adds, merges, updates and removes lines with totals", async () => {
+    const sweet = await createSweet(app, admin, { price: 1.25, stock: 10 });
+
+    await addItem(customer.token, sweet._id, 2).expect(200);
+    const added = await addItem(customer.token, sweet._id, 1);
+    expect(added.body.cart.items).toHaveLength(1);
+    expect(added.body.cart.items[0]).toMatchObject({ quantity: 3, unitPrice: 1.25, lineTotal: 3.75 });
+    expect(added.body.cart.subtotal).toBe(3.75);
+
+    const updated = await request(app)
+      .patch(`/api/cart/items/${sweet._id}`)
+      .set(auth(customer.token))
+      .send({ quantity: 4 });
+    expect(updated.status).toBe(200);
+    expect(updated.body.cart.subtotal).toBe(5);
+
+    const removed = await request(app).delete(`/api/cart/items/${sweet._id}`).set(auth(customer.token));
+    expect(removed.status).toBe(200);
+    expect(removed.body.cart.items).toHaveLength(0);
+  });
+
+  it("flags lines that exceed stock instead of dropping them", async () => {
+    const sweet = await createSweet(app, admin, { stock: 1 });
+    const res = await addItem(customer.token, sweet._id, 3);
+
+    expect(res.body.cart.items[0].outOfStock).toBe(true);
+    expect(res.body.cart.subtotal).toBe(0);
+    expect(res.body.cart.hasUnavailableItems).toBe(true);
+  });
+
+  it("404s for unknown and archived sweets", async () => {
+    const sweet = await createSweet(app, admin);
+    await request(app).delete(`/api/sweets/${sweet._id}`).set(auth(admin.token)).expect(200);
+
+    expect((await addItem(customer.token, sweet._id)).status).toBe(404);
+    expect((await addItem(customer.token, "5f1d7f3e9b1e8a3a4c8b4567")).status).toBe(404);
+  });
+});
+
+describe("guest cart", () => {
+  it("works with X-Cart-Token and merges into the account on login", async () => {
+    const sweet = await createSweet(app, admin, { stock: 10 });
+
+    const created = await request(app).post("/api/cart/guest").send({ items: [{ item: sweet._id, quantity: 2 }] });
+    expect(created.status).toBe(201);
+    const { cartToken } = created.body;
+
+    const guestView = await request(app).get("/api/cart").set("X-Cart-Token", cartToken);
+    expect(guestView.body.items[0].quantity).toBe(2);
+
+    await addItem(customer.token, sweet._id, 1).expect(200);
+    const login = await request(app)
+      .post("/api/auth/login")
+      .send({ email: customer.email, password: customer.password, cartToken });
+    expect(login.body.cartMerge).toMatchObject({ merged: 1, dropped: 0 });
+
+    const merged = await request(app).get("/api/cart").set(auth(login.body.token));
+    expect(merged.body.items[0].quantity).toBe(3);
+    expect(await Cart.exists({ guestTokenHash: { $exists: true } })).toBeNull();
+  });
+
+  it("refuses an unknown cart token", async () => {
+    const res = await request(app).get("/api/cart").set("X-Cart-Token", "nope");
+    expect(res.status).toBe(404);
+  });
+});
+
+describe("POST /api/cart/checkout", () => {
+  it("places an order, takes stock and empties the cart", async () => {
+    const a = await createSweet(app, admin, { price: 2, stock: 5 });
+    const b = await createSweet(app, admin, { price: 3.5, stock: 5 });
+    await addItem(customer.token, a._id, 2).expect(200);
+    await addItem(customer.token, b._id, 1).expect(200);
+
+    const res = await request(app).post("/api/cart/checkout").set(auth(customer.token));
+    expect(res.status).toBe(201);
+    expect(res.body.order).toMatchObject({ subtotal: 7.5, total: 7.5, status: "pending" });
+    expect(res.body.order.items).toHaveLength(2);
+
+    expect((await Sweet.findById(a._id)).stock).toBe(3);
+    expect((await Sweet.findById(b._id)).stock).toBe(4);
+    const cart = await request(app).get("/api/cart").set(auth(customer.token));
+    expect(cart.body.items).toHaveLength(0);
+  });
+
+  it("orders nothing when a line is short of stock", async () => {
+    const a = await createSweet(app, admin, { stock: 5 });
+    const b = await createSweet(app, admin, { stock: 1 });
+    await addItem(customer.token, a._id, 2).expect(200);
+    await addItem(customer.token, b._id, 2).expect(200);
+
+    const res = await request(app).post("/api/cart/checkout").set(auth(customer.token));
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe("INSUFFICIENT_STOCK");
+
+    // the first line's reservation was rolled back
+    expect((await Sweet.findById(a._id)).stock).toBe(5);
+    expect(await Order.countDocuments()).toBe(0);
+    // and the cart can be checked out again
+    expect((await Cart.findOne({ user: customer.user.id })).checkoutAt).toBeNull();
+  });
+
+  it("orders a cart only once when checked out twice at the same time", async () => {
+    const sweet = await createSweet(app, admin, { price: 2, stock: 5 });
+    await addItem(customer.token, sweet._id, 2).expect(200);
+
+    const responses = await Promise.all([
+      request(app).post("/api/cart/checkout").set(auth(customer.token)),
+      request(app).post("/api/cart/checkout").set(auth(customer.token)),
+    ]);
+    const statuses = responses.map((r) => r.status).sort();
+    expect(statuses[0]).toBe(201);
+    // the loser either saw the claim (409) or the already emptied cart (400)
+    expect([400, 409]).toContain(statuses[1]);
+
+    expect(await Order.countDocuments()).toBe(1);
+    expect((await Sweet.findById(sweet._id)).stock).toBe(3);
+  });
+
+  it("adds the delivery fee for a shipping method", async () => {
+    const sweet = await createSweet(app, admin, { price: 10, stock: 5, weightGrams: 0 });
+    await addItem(customer.token, sweet._id, 1).expect(200);
+    await request(app)
+      .post("/api/addresses")
+      .set(auth(customer.token))
+      .send({ recipient: "Ann", line1: "1 High St", city: "Leeds", postcode: "LS1 1AA", country: "GB" })
+      .expect(201);
+
+    const res = await request(app)
+      .post("/api/cart/checkout")
+      .set(auth(customer.token))
+      .send({ shippingMethod: "standard" });
+    expect(res.status).toBe(201);
+    expect(res.body.order).toMatchObject({ shippingMethod: "standard", shippingFee: 4.99, total: 14.99 });
+    expect(res.body.order.shippingAddress).toMatchObject({ city: "Leeds", country: "GB" });
+  });
+
+  it("refuses an empty cart", async () => {
+    const res = await request(app).post("/api/cart/checkout").set(auth(customer.token));
+    expect(res.status).toBe(400);
+  });
+
+  it("needs an account", async () => {
+    const res = await request(app).post("/api/cart/checkout");
+    expect(res.status).toBe(401);
+  });
+});
@@ -0,0 +1,119 @@
+// tests/catalogue.test.js
+import request from "supertest";
+import Sweet from "../src/models/Sweet.js";
+import StockMovement from "../src/models/StockMovement.js";
+import { startDatabase, stopDatabase, resetDatabase, registerUser, registerAdmin, createSweet, auth } from "./helpers.js";
+
+let app;
+let admin;
+
+beforeAll(async () => {
+  app = await startDatabase();
+});
+
+afterAll(stopDatabase);
+
+beforeEach(async () => {
+  await resetDatabase();
+  admin = await registerAdmin(app);
+});
+
+const importCsv = (csv, query = "") =>
+  request(app)
+    .post(`/api/admin/catalogue/import${query}`)
+    .set(auth(admin.token))
+    .set("Content-Type", "text/csv")
+    .send(csv);
+
+describe("catalogue export", () => {
+  it("is admin-only", async () => {
+    const customer = await registerUser(app);
+    const res = await request(app).get("/api/admin/catalogue/export").set(auth(customer.token));
+    expect(res.status).toBe(403);
+  });
+
+  it("exports CSV that imports back unchanged", async () => {
+    await createSweet(app, admin, { name: "Truffle", price: 3.5, stock: 4 });
+
+    const exported = await request(app).get("/api/admin/catalogue/export").set(auth(admin.token));
+    expect(exported.status).toBe(200);
+    expect(exported.headers["content-type"]).toMatch(/text\/csv/);
+    expect(exported.headers["content-disposition"]).toMatch(/attachment; filename="catalogue-/);
+
+    const res = await importCsv(exported.text, "?dryRun=true");
+    expect(res.status).toBe(200);
+    expect(res.body.summary).toMatchObject({ total: 1, unchanged: 1, create: 0, update: 0, error: 0 });
+  });
+});
+
+describe("catalogue import", () => {
+  it("reports the diff and per-row errors on a dry run without writing", async () => {
+    await createSweet(app, admin, { name: "Truffle", price: 3.5, stock: 4 });
+    const csv = ["name,category,price,stock", "truffle,,4,4", "Fudge,Candy,2,10", "Toffee,Nope,abc,1"].join("\n");
+
+    const res = await importCsv(csv, "?dryRun=true");
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ dryRun: true, applied: false });
+    expect(res.body.summary).toMatchObject({ update: 1, create: 1, error: 1 });
+    expect(res.body.results[0].changes).toEqual([{ field: "price", from: 3.5, to: 4 }]);
+    expect(res.body.results[2].rows).toEqual([4]);
+    expect(res.body.results[2].errors.map((e) => e.path)).toEqual(expect.arrayContaining(["category", "price"]));
+
+    expect(await Sweet.countDocuments()).toBe(1);
+  });
+
+  it("writes nothing when any row is invalid", async () => {
+    const res = await importCsv("name,price\nFudge,2\nToffee,-1");
+    expect(res.status).toBe(422);
+    expect(res.body.error.code).toBe("IMPORT_INVALID");
+    expect(res.body.error.details[0].path).toMatch(/^row 3/);
+    expect(await Sweet.countDocuments()).toBe(0);
+  });
+
+  it("upserts variants by SKU and moves stock through the ledger", async () => {
+    const sweet = await createSweet(app, admin, { name: "Truffle", stock: 4 });
+    const csv = [
+      "name,price,stock,sku,variantName,attributes",
+      "Dark Bar,2,5,db-s,Small,size=small",
+      "Dark Bar,4,0,DB-L,Large,size=large",
+      "Truffle,,6,,,",
+    ].join("\n");
+
+    const res = await importCsv(csv);
+    expect(res.status).toBe(200);
+    expect(res.body.summary).toMatchObject({ create: 1, update: 1 });
+    expect(res.body).toMatchObject({ applied: true, failure: null });
+    expect(res.body.results.map((r) => r.applied)).toEqual([true, true]);
+
+    const bar = await Sweet.findOne({ name: "Dark Bar" });
+    expect(bar.variants.map((v) => v.sku)).toEqual(["DB-S", "DB-L"]);
+    expect(bar).toMatchObject({ price: 2, stock: 5 });
+    expect(bar.variants[0].attributes.get("size")).toBe("small");
+
+    const truffle = await Sweet.findById(sweet._id);
+    expect(truffle.stock).toBe(6);
+    const movement = await StockMovement.findOne({ sweet: sweet._id, reason: "import" });
+    expect(movement).toMatchObject({ delta: 2, before: 4, after: 6 });
+
+    // a second run matches by SKU even after a rename
+    const again = await importCsv("name,sku,price\nDark Chocolate Bar,DB-S,2.5");
+    expect(again.body.summary).toMatchObject({ update: 1, create: 0 });
+    const renamed = await Sweet.findById(bar._id);
+    expect(renamed).toMatchObject({ name: "Dark Chocolate Bar", price: 2.5 });
+    expect(renamed.variants).toHaveLength(2);
+  });
+
+  it("accepts the JSON export format", async () => {
+    await createSweet(app, admin, { name: "Truffle", stock: 2 });
+    const exported = await request(app)
+      .get("/api/admin/catalogue/export?format=json")
+      .set(auth(admin.token));
+    expect(exported.body.count).toBe(1);
+
+    exported.body.sweets[0].description = "Rich and dark";
+    const res = await request(app).post("/api/admin/catalogue/import").set(auth(admin.token)).send(exported.body);
+    expect(res.status).toBe(200);
+    expect(res.body.summary).toMatchObject({ update: 1 });
+    expect(res.body.results[0].changes).toEqual([expect.objectContaining({ field: "description", to: "Rich and dark" })]);
+  });
+});
@@ -0,0 +1,64 @@
+// tests/config.test.js
+import { loadConfig, ConfigError } from "../src/config.js";
+
+const STRONG = "k3J9x!q2Lm8Zr5Tv0Wy7Bn4Hc6Fd1Gs0";
+const TEST = { NODE_ENV: "test", JWT_SECRET: STRONG };
+
+const problemsOf = (env) => {
+  try {
+    loadConfig(env);
+  } catch (err) {
+    if (err instanceof ConfigError) return err.problems;
+    throw err;
+  }
+  return [];
+};
+
+describe("loadConfig", () => {
+  it("needs only a JWT secret in the test profile", () => {
+    expect(problemsOf({ NODE_ENV: "test" })).toEqual(["JWT_SECRET is required"]);
+
+    const config = loadConfig(TEST);
+    expect(config.env).toBe("test");
+    expect(config.rateLimit.enabled).toBe(false);
+    expect(config.log.level).toBe("silent");
+    expect(Object.isFrozen(config.auth)).toBe(true);
+  });
+
+  it("fails fast on a missing secret and database in development", () => {
+    const problems = problemsOf({});
+    expect(problems).toEqual(expect.arrayContaining(["JWT_SECRET is required", "MONGO_URI is required"]));
+  });
+
+  it("rejects weak secrets", () => {
+    expect(problemsOf({ NODE_ENV: "test", JWT_SECRET: "changeme" })).toHaveLength(1);
+    expect(problemsOf({ NODE_ENV: "test", JWT_SECRET: "aaaaaaaaaaaaaaaaaaaa" })).toHaveLength(1);
+    expect(problemsOf({ NODE_ENV: "production", JWT_SECRET: "only-twenty-chars-xx", MONGO_URI: "mongodb://db", CORS_ORIGINS: "https://shop.example" })).toEqual([
+      "JWT_SECRET must be at least 32 characters in production",
+    ]);
+  });
+
+  it("requires an explicit CORS allow-list in production", () => {
+    const base = { NODE_ENV: "production", JWT_SECRET: STRONG, MONGO_URI: "mongodb://db" };
+    expect(problemsOf(base)).toEqual(["CORS_ORIGINS is required (comma-separated list of allowed origins)"]);
+    expect(problemsOf({ ...base, CORS_ORIGINS: "*" })).toEqual(['CORS_ORIGINS may not be "*" in production']);
+
+    const config = loadConfig({ ...base, CORS_ORIGINS: "https://shop.example/, https://admin.example" });
+    expect(config.cors.origins).toEqual(["https://shop.example", "https://admin.example"]);
+    // keeps serving a failing /readyz for a while before closing on shutdown
+    expect(config.server.preStopDelayMs).toBe(5000);
+  });
+
+  it("parses numbers and reports every bad value at once", () => {
+    const problems = problemsOf({ ...TEST, PORT: "http", LOW_STOCK_THRESHOLD: "-1", LOG_LEVEL: "loud" });
+    expect(problems).toHaveLength(3);
+
+    const config = loadConfig({ ...TEST, PORT: "8080", RATE_LIMIT_LOGIN_MAX: "3" });
+    expect(config.server.port).toBe(8080);
+    expect(config.rateLimit.limits.login.max).toBe(3);
+  });
+
+  it("refuses unknown profiles", () => {
+    expect(() => loadConfig({ NODE_ENV: "staging" })).toThrow(ConfigError);
+  });
+});
@@ -0,0 +1,33 @@
+// tests/csv.test.js
+import { parseCsv, toCsv } from "../src/utils/csv.js";
+
+describe("parseCsv", () => {
+  it("handles quotes, escaped quotes and line breaks inside fields", () => {
+    const { columns, rows } = parseCsv('name,description\r\n"Fudge, vanilla","Say ""yum""\nsoft"\r\nToffee,\r\n');
+    expect(columns).toEqual(["name", "description"]);
+    expect(rows).toEqual([
+      { line: 2, values: { name: "Fudge, vanilla", description: 'Say "yum"\nsoft' } },
+      { line: 4, values: { name: "Toffee", description: "" } },
+    ]);
+  });
+
+  it("skips blank lines and a byte order mark", () => {
+    const { columns, rows } = parseCsv("\uFEFFname\n\nA\n\nB");
+    expect(columns).toEqual(["name"]);
+    expect(rows.map((r) => [r.line, r.values.name])).toEqual([
+      [3, "A"],
+      [5, "B"],
+    ]);
+  });
+
+  it("reads back what toCsv wrote, formula guard included", () => {
+    const original = [{ name: "=SUM(A1)", note: "-5", text: "-dash, \"quoted\"" }];
+    const { rows } = parseCsv(toCsv(original, ["name", "note", "text"]));
+    expect(rows[0].values).toEqual(original[0]);
+  });
+
+  it("rejects unterminated quotes and rows wider than the header", () => {
+    expect(() => parseCsv('name\n"open')).toThrow(/line 2/);
+    expect(() => parseCsv("name\na,b")).toThrow(/Line 2 has 2 fields/);
+  });
+});
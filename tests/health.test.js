@@ -0,0 +1,42 @@
+// tests/health.test.js
+import request from "supertest";
+import { startDatabase, stopDatabase } from "./helpers.js";
+
+let app;
+
+beforeAll(async () => {
+  app = await startDatabase();
+});
+
+afterAll(stopDatabase);
+
+describe("health endpoints", () => {
+  it("GET /healthz answers while the process is up", async () => {
+    const res = await request(app).get("/healthz");
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe("ok");
+  });
+
+  it("GET /readyz reports MongoDB as up", async () => {
+    const res = await request(app).get("/readyz");
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe("ready");
+    expect(res.body.checks.mongo.status).toBe("up");
+  });
+
+  it("GET /readyz fails while draining", async () => {
+    app.locals.draining = true;
+    try {
+      const res = await request(app).get("/readyz");
+      expect(res.status).toBe(503);
+      expect(res.body.status).toBe("draining");
+    } finally {
+      app.locals.draining = false;
+    }
+  });
+
+  it("echoes X-Request-Id", async () => {
+    const res = await request(app).get("/healthz").set("X-Request-Id", "test-req-1");
+    expect(res.headers["x-request-id"]).toBe("test-req-1");
+  });
+});
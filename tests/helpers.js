@@ -0,0 +1,87 @@
+// tests/helpers.js
+import mongoose from "mongoose";
+import request from "supertest";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import { createApp } from "../src/app.js";
+import { prepareDatabase } from "../src/db.js";
+import { setNotifier } from "../src/utils/notifier.js";
+import { setMailTransport } from "../src/utils/mailer.js";
+import User from "../src/models/User.js";
+
+let mongod = null;
+
+// notifications and mail are collected instead of printed
+export const outbox = { notifications: [], mail: [] };
+
+/**
+ * Start an in-memory MongoDB, connect mongoose to it and build the app.
+ * Call from beforeAll; pair with stopDatabase in afterAll.
+ */
+export async function startDatabase() {
+  mongod = await MongoMemoryServer.create();
+  await mongoose.connect(mongod.getUri());
+  await prepareDatabase();
+  setNotifier({ send: async (n) => outbox.notifications.push(n) });
+  setMailTransport({ send: async (m) => outbox.mail.push(m) });
+  return createApp({ db: mongoose.connection });
+}
+
+export async function stopDatabase() {
+  await mongoose.disconnect();
+  if (mongod) await mongod.stop();
+  mongod = null;
+}
+
+/**
+ * Empty every collection and re-seed defaults (categories, shipping methods).
+ */
+export async function resetDatabase() {
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map((c) => c.deleteMany({})));
+  await prepareDatabase();
+  outbox.notifications.length = 0;
+  outbox.mail.length = 0;
+}
+
+let seq = 0;
+
+/**
+ * Register a fresh user through the API. Returns { token, refreshToken, user, email, password }.
+ */
+export async function registerUser(app, overrides = {}) {
+  seq += 1;
+  const body = {
+    username: `user${seq}`,
+    email: `user${seq}@example.com`,
+    password: "secret123",
+    ...overrides,
+  };
+  const res = await request(app).post("/api/auth/register").send(body);
+  if (res.status !== 201) throw new Error(`register failed: ${res.status} ${JSON.stringify(res.body)}`);
+  return { ...res.body, email: body.email, password: body.password };
+}
+
+/**
+ * Register a user, promote them to admin and log in again, so the token's
+ * role claim matches the account too.
+ */
+export async function registerAdmin(app) {
+  const { user, email, password } = await registerUser(app);
+  await User.updateOne({ _id: user.id }, { role: "admin" });
+  const res = await request(app).post("/api/auth/login").send({ email, password });
+  return { ...res.body, email, password };
+}
+
+export const auth = (token) => ({ Authorization: `Bearer ${token}` });
+
+/**
+ * Create a sweet as `admin` (from registerAdmin) and return it.
+ */
+export async function createSweet(app, admin, fields = {}) {
+  const res = await request(app)
+    .post("/api/sweets")
+    .set(auth(admin.token))
+    .send({ name: `Sweet ${++seq}`, price: 2.5, category: "Chocolate", stock: 10, ...fields });
+  if (res.status !== 201) throw new Error(`create sweet failed: ${res.status} ${JSON.stringify(res.body)}`);
+  return res.body.sweet;
+}
@@ -0,0 +1,6 @@
+// tests/setupEnv.js
+// Runs before each test file, ahead of src/config.js: the test profile
+// supplies silent logs and no rate limiting. There is no built-in secret,
+// so the tests bring their own.
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = "jest-only-secret-2f9c61d4e8a7";
@@ -0,0 +1,210 @@
+// tests/sweets.test.js
+import request from "supertest";
+import Sweet from "../src/models/Sweet.js";
+import StockMovement from "../src/models/StockMovement.js";
+import User from "../src/models/User.js";
+import { refreshAnalytics } from "../src/utils/analytics.js";
+import {
+  startDatabase,
+  stopDatabase,
+  resetDatabase,
+  registerUser,
+  registerAdmin,
+  createSweet,
+  auth,
+} from "./helpers.js";
+
+let app;
+let admin;
+let customer;
+
+beforeAll(async () => {
+  app = await startDatabase();
+});
+
+afterAll(stopDatabase);
+
+beforeEach(async () => {
+  await resetDatabase();
+  admin = await registerAdmin(app);
+  customer = await registerUser(app);
+});
+
+describe("creating and listing sweets", () => {
+  it("records opening stock in the ledger", async () => {
+    const sweet = await createSweet(app, admin, { name: "Truffle", stock: 7 });
+
+    expect(sweet).toMatchObject({ name: "Truffle", category: "Chocolate", stock: 7 });
+    const movements = await StockMovement.find({ sweet: sweet._id });
+    expect(movements).toHaveLength(1);
+    expect(movements[0]).toMatchObject({ delta: 7, reason: "initial", after: 7 });
+  });
+
+  it("uses the default category when none is given", async () => {
+    const res = await request(app).post("/api/sweets").set(auth(admin.token)).send({ name: "Plain", price: 1 });
+    expect(res.status).toBe(201);
+    expect(res.body.sweet.category).toBe("Other");
+  });
+
+  it("rejects unknown categories", async () => {
+    const res = await request(app)
+      .post("/api/sweets")
+      .set(auth(admin.token))
+      .send({ name: "Odd", price: 1, category: "Nonexistent" });
+    expect(res.status).toBe(422);
+    expect(res.body.error.details).toEqual([{ path: "body.category", message: "unknown category: Nonexistent" }]);
+  });
+
+  it("hides stock from non-admins", async () => {
+    await createSweet(app, admin, { name: "Fudge", stock: 3 });
+
+    const publicList = await request(app).get("/api/sweets");
+    expect(publicList.status).toBe(200);
+    expect(publicList.body).toHaveLength(1);
+    expect(publicList.body[0].stock).toBeUndefined();
+
+    const adminList = await request(app).get("/api/sweets").set(auth(admin.token));
+    expect(adminList.body[0].stock).toBe(3);
+  });
+
+  it("stops showing stock to an admin's token once they are demoted", async () => {
+    await createSweet(app, admin, { name: "Fudge", stock: 3 });
+    await User.updateOne({ _id: admin.user.id }, { role: "user" });
+
+    const res = await request(app).get("/api/sweets").set(auth(admin.token));
+    expect(res.status).toBe(200);
+    expect(res.body[0].stock).toBeUndefined();
+  });
+
+  it("paginates with an envelope when asked", async () => {
+    for (let i = 0; i < 3; i++) await createSweet(app, admin);
+    const res = await request(app).get("/api/sweets?page=1&limit=2");
+
+    expect(res.status).toBe(200);
+    expect(res.body.items).toHaveLength(2);
+    expect(res.body).toMatchObject({ total: 3, page: 1, limit: 2, totalPages: 2 });
+  });
+
+  it("answers 400 INVALID_ID for malformed ids", async () => {
+    const res = await request(app).post("/api/sweets/not-an-id/purchase").set(auth(customer.token));
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe("INVALID_ID");
+  });
+
+  it("lets only admins edit sweets without a creator", async () => {
+    const { _id } = await Sweet.create({ name: "Imported", price: 1, category: "Other" });
+
+    const denied = await request(app).put(`/api/sweets/${_id}`).set(auth(customer.token)).send({ price: 2 });
+    expect(denied.status).toBe(403);
+
+    const res = await request(app).put(`/api/sweets/${_id}`).set(auth(admin.token)).send({ price: 2 });
+    expect(res.status).toBe(200);
+    expect(res.body.sweet.price).toBe(2);
+  });
+});
+
+describe("POST /api/sweets/:id/purchase", () => {
+  it("takes stock and counts the sale", async () => {
+    const sweet = await createSweet(app, admin, { stock: 5 });
+    const res = await request(app)
+      .post(`/api/sweets/${sweet._id}/purchase`)
+      .set(auth(customer.token))
+      .send({ quantity: 2 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.purchasedQuantity).toBe(2);
+    const after = await Sweet.findById(sweet._id);
+    expect(after.stock).toBe(3);
+    expect(after.purchasedCount).toBe(2);
+  });
+
+  it("refuses to sell more than is in stock", async () => {
+    const sweet = await createSweet(app, admin, { stock: 1 });
+    const res = await request(app)
+      .post(`/api/sweets/${sweet._id}/purchase`)
+      .set(auth(customer.token))
+      .send({ quantity: 2 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe("INSUFFICIENT_STOCK");
+    expect((await Sweet.findById(sweet._id)).stock).toBe(1);
+  });
+
+  it("refuses archived sweets", async () => {
+    const sweet = await createSweet(app, admin);
+    await request(app).delete(`/api/sweets/${sweet._id}`).set(auth(admin.token)).expect(200);
+
+    const res = await request(app).post(`/api/sweets/${sweet._id}/purchase`).set(auth(customer.token));
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe("SWEET_ARCHIVED");
+  });
+
+  it("needs a variant for sweets with variants", async () => {
+    const sweet = await createSweet(app, admin, {
+      stock: undefined,
+      variants: [
+        { sku: "BOX-S", name: "Small", price: 4, stock: 2 },
+        { sku: "BOX-L", name: "Large", price: 9, stock: 1 },
+      ],
+    });
+    expect(sweet.price).toBe(4);
+
+    const bare = await request(app).post(`/api/sweets/${sweet._id}/purchase`).set(auth(customer.token));
+    expect(bare.status).toBe(400);
+    expect(bare.body.error.code).toBe("VARIANT_REQUIRED");
+
+    const large = sweet.variants.find((v) => v.sku === "BOX-L");
+    const res = await request(app)
+      .post(`/api/sweets/${sweet._id}/purchase`)
+      .set(auth(customer.token))
+      .send({ variant: large._id });
+    expect(res.status).toBe(200);
+
+    const after = await Sweet.findById(sweet._id);
+    expect(after.variants.id(large._id).stock).toBe(0);
+    expect(after.stock).toBe(2);
+  });
+});
+
+describe("admin stock and archive routes", () => {
+  it("restocks for admins only", async () => {
+    const sweet = await createSweet(app, admin, { stock: 0 });
+
+    const denied = await request(app)
+      .post(`/api/sweets/${sweet._id}/restock`)
+      .set(auth(customer.token))
+      .send({ quantity: 5 });
+    expect(denied.status).toBe(403);
+
+    const res = await request(app)
+      .post(`/api/sweets/${sweet._id}/restock`)
+      .set(auth(admin.token))
+      .send({ quantity: 5 });
+    expect(res.status).toBe(200);
+    expect(res.body.sweet.stock).toBe(5);
+  });
+
+  it("archives, lists and restores a sweet", async () => {
+    const sweet = await createSweet(app, admin);
+
+    await request(app).delete(`/api/sweets/${sweet._id}`).set(auth(admin.token)).expect(200);
+    expect((await request(app).get("/api/sweets")).body).toHaveLength(0);
+
+    const archived = await request(app).get("/api/sweets/archived").set(auth(admin.token));
+    expect(archived.body.map((s) => s._id)).toEqual([sweet._id]);
+
+    await request(app).post(`/api/sweets/${sweet._id}/restore`).set(auth(admin.token)).expect(200);
+    expect((await request(app).get("/api/sweets")).body).toHaveLength(1);
+  });
+
+  it("drops sweets archived since the last ranking from /popularity", async () => {
+    const sweet = await createSweet(app, admin, { stock: 5 });
+    await request(app).post(`/api/sweets/${sweet._id}/purchase`).set(auth(customer.token)).send({ quantity: 1 }).expect(200);
+    await refreshAnalytics();
+
+    await request(app).delete(`/api/sweets/${sweet._id}`).set(auth(admin.token)).expect(200);
+    const res = await request(app).get("/api/sweets/popularity?window=24h");
+    expect(res.status).toBe(200);
+    expect(res.body.sweets).toHaveLength(0);
+  });
+});